@@ -16,7 +16,373 @@ these patterns are very different.
 
 //A Mediator is an object that coordinates interactions (logic and behavior) between multiple objects. 
 //It makes decisions on when to call which objects, based on the actions (or inaction) of other objects and input.
-var mediator = {};
+/*
+Colleagues register with the mediator under a name and from then on talk only to it:
+-channels: a colleague subscribes to a channel, optionally with a predicate deciding which messages it wants, and 
+messages published on the channel are routed to every subscriber whose predicate accepts them
+-direct: a message can be sent to one colleague by name, the mediator calls its receive( message, from )
+*/
+function Mediator(){
+  // the maps keyed by names have no prototype, so a colleague or channel can be called "constructor" or "__proto__"
+  // name -> colleague
+  this.colleagues = Object.create( null );
+  // channel -> subscriptions: { id, fn, context, predicate, colleague }
+  this.channels = Object.create( null );
+  this.uid = -1;
+  // action -> hooks, see perform
+  this.hooks = { before: Object.create( null ), after: Object.create( null ) };
+  // name -> definition, and id -> Flow for the flows running, see defineFlow
+  this.flowDefinitions = Object.create( null );
+  this.runningFlows = Object.create( null );
+  this.flowUid = -1;
+  // channel -> { from -> count } and from -> { to -> count }, see routingGraph
+  this.published = Object.create( null );
+  this.sent = Object.create( null );
+}
+// Register a colleague under a name, the colleague gets a reference to the mediator as colleague.mediator
+Mediator.prototype.register = function( name, colleague ){
+  if ( this.colleagues[name] ) {
+    throw new Error( "A colleague named \"" + name + "\" is already registered" );
+  }
+  this.colleagues[name] = colleague;
+  colleague.mediator = this;
+  return colleague;
+};
+// Unregister a colleague along with the subscriptions it made
+Mediator.prototype.unregister = function( name ){
+  var colleague = this.colleagues[name];
+  if ( !colleague ) {
+    return false;
+  }
+  for ( var channel in this.channels ) {
+    this.channels[channel] = this.channels[channel].filter(function( subscription ){
+      return subscription.colleague !== name;
+    });
+  }
+  delete this.colleagues[name];
+  delete colleague.mediator;
+  return true;
+};
+Mediator.prototype.colleague = function( name ){
+  return this.colleagues[name];
+};
+// Subscribe fn to a channel, fn is called as fn( data, { channel, from } ).
+// options.predicate( data, from ): only route the messages it returns true for.
+// options.context: this for fn. options.colleague: the name of the subscribing colleague.
+// Returns a subscription, subscription.dispose() removes it again.
+Mediator.prototype.subscribe = function( channel, fn, options ){
+  options = options || {};
+  var subscriptions = this.channels[channel] || ( this.channels[channel] = [] ),
+    channels = this.channels,
+    subscription = {
+      id: ++this.uid,
+      fn: fn,
+      context: options.context,
+      predicate: options.predicate || null,
+      colleague: options.colleague || null
+    };
+  subscriptions.push( subscription );
+  subscription.dispose = function(){
+    var current = channels[channel] || [],
+      index = current.indexOf( subscription );
+    return index !== -1 && current.splice( index, 1 ).length === 1;
+  };
+  return subscription;
+};
+// Route data to the subscribers of a channel, from being the name of the publishing colleague.
+// Returns how many subscribers it was routed to.
+Mediator.prototype.publish = function( channel, data, from ){
+  countRoute( this.published, channel, from );
+  var subscriptions = ( this.channels[channel] || [] ).slice(),
+    routed = 0;
+  for ( var i = 0; i < subscriptions.length; i++ ) {
+    var subscription = subscriptions[i];
+    if ( subscription.predicate && !subscription.predicate( data, from ) ) {
+      continue;
+    }
+    subscription.fn.call( subscription.context, data, { channel: channel, from: from } );
+    routed++;
+  }
+  return routed;
+};
+// Address one colleague directly, returns what its receive( message, from ) returned
+Mediator.prototype.send = function( to, message, from ){
+  var colleague = this.colleagues[to];
+  if ( !colleague ) {
+    throw new Error( "No colleague named \"" + to + "\"" );
+  }
+  if ( typeof colleague.receive !== "function" ) {
+    throw new TypeError( "Colleague \"" + to + "\" has no receive method" );
+  }
+  countRoute( this.sent, from, to );
+  return colleague.receive( message, from );
+};
+// --- Mediated actions: unlike a publish, an action can be refused by the mediator.
+/*
+perform( action, payload, from ) first runs the before hooks of the action, in the order they were added, as 
+hook( payload, veto, from ). A hook calling veto( reason ) refuses the action: the remaining hooks don't run and the 
+action isn't published. Otherwise the action is published on the channel of the same name and then the after hooks 
+run as hook( payload, result, from ).
+The caller gets the outcome: { action, allowed: true, routed } where routed is how many subscribers the action was 
+routed to, or { action, allowed: false, reason }.
+*/
+Mediator.prototype.before = function( action, hook ){
+  return this.addHook( "before", action, hook );
+};
+Mediator.prototype.after = function( action, hook ){
+  return this.addHook( "after", action, hook );
+};
+// Returns a handle, handle.dispose() removes the hook again
+Mediator.prototype.addHook = function( when, action, hook ){
+  var hooks = this.hooks[when][action] || ( this.hooks[when][action] = [] );
+  hooks.push( hook );
+  return {
+    dispose: function(){
+      var index = hooks.indexOf( hook );
+      return index !== -1 && hooks.splice( index, 1 ).length === 1;
+    }
+  };
+};
+Mediator.prototype.perform = function( action, payload, from ){
+  var before = ( this.hooks.before[action] || [] ).slice(),
+    refusal = null;
+  function veto( reason ){
+    refusal = refusal || { action: action, allowed: false, reason: reason || "vetoed" };
+  }
+  for ( var i = 0; i < before.length && !refusal; i++ ) {
+    before[i]( payload, veto, from );
+  }
+  if ( refusal ) {
+    return refusal;
+  }
+  var result = { action: action, allowed: true, routed: this.publish( action, payload, from ) },
+    after = ( this.hooks.after[action] || [] ).slice();
+  for ( var j = 0; j < after.length; j++ ) {
+    after[j]( payload, result, from );
+  }
+  return result;
+};
+// --- Flows: multi-step interactions the mediator walks through, declared instead of nested in callbacks.
+/*
+mediator.defineFlow( name, {
+  initial: "firstStep",
+  timeout: 5000,                  // optional, for every step that doesn't set its own
+  steps: {
+    firstStep: {
+      run: function( context, flow ){ ... return "done"; },
+      on: { done: "secondStep" },  // outcome -> next step, a step without "on" ends the flow
+      timeout: 1000,              // optional, milliseconds
+      compensate: function( context, flow ){ ... }
+    },
+    ...
+  }
+});
+A step's run returns its outcome, or a promise for it, and the outcome picks the next step. A flow fails when a step 
+throws or rejects, times out, or has an outcome without a transition. The steps completed so far are then 
+compensated, the most recent first, before the flow's promise rejects. flow.cancel( reason ) stops a running flow 
+the same way, the step running at the time is abandoned (its outcome is ignored) but not compensated.
+*/
+// Throws when the initial step or the target of a transition isn't one of the steps
+Mediator.prototype.defineFlow = function( name, definition ){
+  var steps = definition.steps;
+  function isStep( stepName ){
+    return !!steps && Object.prototype.hasOwnProperty.call( steps, stepName );
+  }
+  if ( !isStep( definition.initial ) ) {
+    throw new Error( "Flow \"" + name + "\" needs an initial step among its steps" );
+  }
+  for ( var stepName in steps ) {
+    for ( var outcome in steps[stepName].on || {} ) {
+      if ( !isStep( steps[stepName].on[outcome] ) ) {
+        throw new Error( "Step \"" + stepName + "\" of flow \"" + name + "\" goes to a step \"" + 
+          steps[stepName].on[outcome] + "\" on \"" + outcome + "\", which isn't one of its steps" );
+      }
+    }
+  }
+  this.flowDefinitions[name] = definition;
+};
+// Start a flow with a context object its steps share, returns the Flow (flow.promise resolves with the context)
+Mediator.prototype.startFlow = function( name, context ){
+  var definition = this.flowDefinitions[name];
+  if ( !definition ) {
+    throw new Error( "No flow named \"" + name + "\"" );
+  }
+  var flow = new Flow( this, ++this.flowUid, name, definition, context || {} );
+  this.runningFlows[flow.id] = flow;
+  flow.enter( definition.initial );
+  return flow;
+};
+// The flows still running (or compensating), as { id, name, state, current }
+Mediator.prototype.flows = function(){
+  var flows = [];
+  for ( var id in this.runningFlows ) {
+    flows.push( this.runningFlows[id].inspect() );
+  }
+  return flows;
+};
+function Flow( mediator, id, name, definition, context ){
+  var flow = this;
+  this.mediator = mediator;
+  this.id = id;
+  this.name = name;
+  this.definition = definition;
+  this.context = context;
+  // running, then completed, or compensating followed by failed or cancelled
+  this.state = "running";
+  this.current = null;
+  // the timeout of the step running, cleared when it settles or the flow fails
+  this.timer = null;
+  // every step entered: { step, started, finished, outcome, error }
+  this.history = [];
+  this.completed = [];
+  this.promise = new Promise(function( resolve, reject ){
+    flow.resolve = resolve;
+    flow.reject = reject;
+  });
+  // keep a failing flow nobody waits on from being reported as an unhandled rejection
+  this.promise.catch(function(){});
+}
+Flow.prototype.inspect = function(){
+  return { id: this.id, name: this.name, state: this.state, current: this.current };
+};
+Flow.prototype.enter = function( stepName ){
+  var flow = this,
+    step = this.definition.steps[stepName],
+    visit = { step: stepName, started: Date.now() },
+    timeout = step.timeout !== undefined ? step.timeout : this.definition.timeout;
+  this.current = stepName;
+  this.history.push( visit );
+  var outcome = new Promise(function( resolve ){
+    resolve( step.run( flow.context, flow ) );
+  });
+  if ( timeout ) {
+    outcome = Promise.race([ outcome, new Promise(function( resolve, reject ){
+      flow.timer = setTimeout(function(){
+        reject( flowError( "ETIMEDOUT", "Step \"" + stepName + "\" of flow \"" + flow.name + "\" timed out after " + 
+          timeout + "ms" ) );
+      }, timeout );
+    }) ]);
+  }
+  outcome.then(function( result ){
+    flow.clearTimer();
+    // cancelled meanwhile
+    if ( flow.state !== "running" ) {
+      return;
+    }
+    visit.finished = Date.now();
+    visit.outcome = result;
+    flow.completed.push( stepName );
+    if ( !step.on ) {
+      flow.finish();
+    } else if ( Object.prototype.hasOwnProperty.call( step.on, result ) ) {
+      flow.enter( step.on[result] );
+    } else {
+      flow.fail( flowError( "ENOTRANSITION", "Step \"" + stepName + "\" of flow \"" + flow.name + 
+        "\" has no transition for outcome \"" + result + "\"" ), "failed" );
+    }
+  }, function( error ){
+    flow.clearTimer();
+    if ( flow.state !== "running" ) {
+      return;
+    }
+    visit.finished = Date.now();
+    visit.error = error;
+    flow.fail( error, "failed" );
+  });
+};
+Flow.prototype.clearTimer = function(){
+  clearTimeout( this.timer );
+  this.timer = null;
+};
+Flow.prototype.finish = function(){
+  this.state = "completed";
+  this.current = null;
+  delete this.mediator.runningFlows[this.id];
+  this.resolve( this.context );
+};
+// Returns false if the flow wasn't running anymore
+Flow.prototype.cancel = function( reason ){
+  if ( this.state !== "running" ) {
+    return false;
+  }
+  this.fail( flowError( "ECANCELLED", "Flow \"" + this.name + "\" was cancelled" + ( reason ? ": " + reason : "" ) ), 
+    "cancelled" );
+  return true;
+};
+// Compensate the completed steps one by one, most recent first, then settle as failed or cancelled.
+// A step failing with something else than an Error (reject(), throw "text") fails the flow with an Error whose code 
+// is "ESTEPFAILED", the original reason being error.reason.
+Flow.prototype.fail = function( error, state ){
+  var flow = this,
+    steps = this.completed.slice().reverse();
+  this.clearTimer();
+  if ( !( error instanceof Error ) ) {
+    var reason = error;
+    error = flowError( "ESTEPFAILED", "Step \"" + this.current + "\" of flow \"" + this.name + "\" failed: " + 
+      String( reason ) );
+    error.reason = reason;
+  }
+  this.state = "compensating";
+  error.compensationErrors = [];
+  steps.reduce(function( previous, stepName ){
+    return previous.then(function(){
+      flow.current = stepName;
+      var compensate = flow.definition.steps[stepName].compensate;
+      return compensate && compensate( flow.context, flow );
+    }).catch(function( compensationError ){
+      error.compensationErrors.push( compensationError );
+    });
+  }, Promise.resolve() ).then(function(){
+    flow.state = state;
+    flow.current = null;
+    delete flow.mediator.runningFlows[flow.id];
+    flow.reject( error );
+  });
+};
+function flowError( code, message ){
+  var error = new Error( message );
+  error.code = code;
+  return error;
+}
+
+var mediator = new Mediator();
+
+// The airport: planes only ever talk to the tower
+var tower = new Mediator();
+function Plane( name ){
+  this.name = name;
+  tower.register( name, this );
+}
+Plane.prototype.receive = function( message, from ){
+  console.log( this.name + " received from " + from + ": " + message );
+};
+var flight101 = new Plane( "flight101" ),
+  flight202 = new Plane( "flight202" );
+// flight202 only cares about the weather at its own destination
+tower.subscribe( "weather", function( report ){
+  console.log( "flight202: weather at LHR is " + report.conditions );
+}, {
+  colleague: "flight202",
+  predicate: function( report ){
+    return report.airport === "LHR";
+  }
+});
+tower.publish( "weather", { airport: "LHR", conditions: "fog" }, "flight101" );
+tower.send( "flight202", "cleared for landing, runway 27L", "flight101" );
+// The tower decides who may take off
+var runwayBusy = true;
+tower.before( "takeoff", function( request, veto, from ){
+  if ( runwayBusy ) {
+    veto( "runway " + request.runway + " is in use" );
+  }
+});
+tower.after( "takeoff", function( request, result, from ){
+  runwayBusy = true;
+});
+var clearance = tower.perform( "takeoff", { runway: "27L" }, "flight101" );
+if ( !clearance.allowed ) {
+  console.log( "flight101: takeoff refused, " + clearance.reason );
+}
 
 var orgChart = {
   addNewEmployee: function(){
@@ -34,6 +400,48 @@ var orgChart = {
   // ...
 }
 
+// The same interaction declared as a flow. The steps share a context instead of relying on "this" in nested handlers, 
+// and the mediator knows which step every new employee is in.
+mediator.defineFlow( "addNewEmployee", {
+  initial: "employeeDetail",
+  steps: {
+    employeeDetail: {
+      run: function( context ){
+        return new Promise(function( resolve ){
+          context.orgChart.getEmployeeDetail().on( "complete", function( employee ){
+            context.employee = employee;
+            resolve( "complete" );
+          });
+        });
+      },
+      on: { complete: "selectManager" }
+    },
+    selectManager: {
+      timeout: 5 * 60 * 1000,
+      run: function( context ){
+        return new Promise(function( resolve ){
+          context.orgChart.selectManager( context.employee ).on( "save", function( employee ){
+            resolve( "save" );
+          });
+        });
+      },
+      on: { save: "save" },
+      compensate: function( context ){
+        context.employee.manager = null;
+      }
+    },
+    save: {
+      run: function( context ){
+        return context.employee.save();
+      }
+    }
+  }
+});
+orgChart.addNewEmployeeFlow = function(){
+  return mediator.startFlow( "addNewEmployee", { orgChart: this } );
+};
+// e.g. var flow = orgChart.addNewEmployeeFlow(); flow.current; // "employeeDetail"
+
 /*
 The similarities boil down to two primary items: events and third-party objects.
 The difference is why these two patterns are both using events. 
@@ -66,6 +474,119 @@ will coordinate all of the objects that it knows about, to create the desired us
 We now have a clean separation between the menu and the workflow through an event aggregator and we are still 
 keeping the workflow itself clean and maintainable through the use of a mediator.
 */
+// --- The event aggregator behind MyFramework:
+/*
+on( name, callback, context ), off( name, callback, context ), once( name, callback, context ), trigger( name, args... )
+-callbacks are called with context as this (the aggregator when there is none) and the args passed to trigger
+-event names are namespaced with ":". Triggering "menu:click:foo" also calls the callbacks of "menu:click" and "menu", 
+after those of "menu:click:foo" itself and the nearest namespace first, and "all" last. These are called with the 
+event name before the args, as they can't tell otherwise which event it was.
+-off without a name, callback or context removes the callbacks matching the ones given, off() removes them all
+-listenTo( other, name, callback ) is on the other way round: this object listens to other, with itself as context. 
+stopListening( other, name, callback ) drops what listenTo added, stopListening() all of it at once.
+EventAggregator.mixin( obj ) gives any object (or prototype) these methods, its state is created on first use.
+*/
+// name: how the aggregator appears in its routing graph
+function EventAggregator( name ){
+  if ( name ) {
+    this.name = name;
+  }
+}
+EventAggregator.uid = 0;
+EventAggregator.mixin = function( obj ){
+  for ( var name in EventAggregator.prototype ) {
+    obj[name] = EventAggregator.prototype[name];
+  }
+  return obj;
+};
+EventAggregator.prototype.on = function( name, callback, context ){
+  var events = this._events || ( this._events = Object.create( null ) );
+  ( events[name] || ( events[name] = [] ) ).push({ callback: callback, context: context });
+  return this;
+};
+EventAggregator.prototype.once = function( name, callback, context ){
+  var self = this;
+  function once(){
+    self.off( name, once );
+    return callback.apply( this, arguments );
+  }
+  // so off( name, callback ) finds it before it ran
+  once.callback = callback;
+  return this.on( name, once, context );
+};
+EventAggregator.prototype.off = function( name, callback, context ){
+  var events = this._events || Object.create( null ),
+    names = name ? [ name ] : Object.keys( events );
+  for ( var i = 0; i < names.length; i++ ) {
+    var handlers = events[ names[i] ];
+    if ( !handlers ) {
+      continue;
+    }
+    var remaining = handlers.filter(function( handler ){
+      return ( callback && callback !== handler.callback && callback !== handler.callback.callback ) || 
+        ( context && context !== handler.context );
+    });
+    if ( remaining.length ) {
+      events[ names[i] ] = remaining;
+    } else {
+      delete events[ names[i] ];
+    }
+  }
+  return this;
+};
+EventAggregator.prototype.trigger = function( name ){
+  var args = Array.prototype.slice.call( arguments, 1 ),
+    events = this._events || Object.create( null ),
+    namespaces = name.split( ":" );
+  this._triggered = this._triggered || Object.create( null );
+  this._triggered[name] = ( this._triggered[name] || 0 ) + 1;
+  callHandlers( events[name], this, args );
+  for ( var i = namespaces.length - 1; i > 0; i-- ) {
+    callHandlers( events[ namespaces.slice( 0, i ).join( ":" ) ], this, [ name ].concat( args ) );
+  }
+  if ( name !== "all" ) {
+    callHandlers( events.all, this, [ name ].concat( args ) );
+  }
+  return this;
+};
+// handlers is copied, so callbacks may call on and off while it is triggered
+function callHandlers( handlers, aggregator, args ){
+  handlers = ( handlers || [] ).slice();
+  for ( var i = 0; i < handlers.length; i++ ) {
+    handlers[i].callback.apply( handlers[i].context || aggregator, args );
+  }
+}
+EventAggregator.prototype.listenTo = function( other, name, callback ){
+  trackListening( this, other ).on( name, callback, this );
+  return this;
+};
+EventAggregator.prototype.listenToOnce = function( other, name, callback ){
+  trackListening( this, other ).once( name, callback, this );
+  return this;
+};
+// remember who listener listens to, for stopListening
+function trackListening( listener, other ){
+  var listeningTo = listener._listeningTo || ( listener._listeningTo = Object.create( null ) ),
+    id = other._listenId || ( other._listenId = "l" + ( ++EventAggregator.uid ) );
+  listeningTo[id] = other;
+  return other;
+}
+EventAggregator.prototype.stopListening = function( other, name, callback ){
+  var listeningTo = this._listeningTo || Object.create( null );
+  for ( var id in listeningTo ) {
+    if ( other && listeningTo[id] !== other ) {
+      continue;
+    }
+    listeningTo[id].off( name, callback, this );
+    if ( !name && !callback ) {
+      delete listeningTo[id];
+    }
+  }
+  return this;
+};
+
+var MyFramework = new EventAggregator( "MyFramework" );
+
 var MenuItem = MyFrameworkView.extend({
   events: {
     "click .thatThing": "clickedIt"
@@ -79,13 +600,167 @@ var MenuItem = MyFrameworkView.extend({
  
 // ... somewhere else in the app
 var MyWorkflow = function(){
-  MyFramework.on("menu:click:foo", this.doStuff, this);
+  this.listenTo(MyFramework, "menu:click:foo", this.doStuff);
 };
+EventAggregator.mixin(MyWorkflow.prototype);
 MyWorkflow.prototype.doStuff = function(){
   // instantiate multiple objects here.
   // set up event handlers for those objects.
   // coordinate all of the objects into a meaningful workflow.
 };
+// tearing the workflow down drops every subscription it made, in one call
+MyWorkflow.prototype.destroy = function(){
+  this.stopListening();
+};
+
+
+//-----------------------------------------------------------------------------------
+// --- The routing graph: who publishes what and who handles it, to see how the system reacts to a broadcast.
+/*
+mediator.routingGraph() and aggregator.routingGraph() return a RoutingGraph with two kinds of nodes, colleagues 
+and events, and the edges between them:
+  colleague -> event      "publishes", the colleague published on the channel (count times so far)
+  event -> colleague      "handles", the colleague is subscribed to the channel
+  colleague -> colleague  "sends", the colleague addressed the other one directly (mediator only)
+Publishers are only known once they published. On a mediator they are the from of publish and perform, anonymous 
+when there was none. An aggregator doesn't know who called trigger, there the publisher is the aggregator itself. 
+Handlers are the colleague a mediator subscription was made for, or the context of an aggregator callback (which 
+is the listener for listenTo), anonymous when there is none. An aggregator event is also handled by the callbacks 
+of its namespaces and of "all".
+graph.orphans() lists the events published that nobody handles, graph.toJSON() and graph.toDot() export the graph 
+(the latter for Graphviz: dot -Tsvg routing.dot > routing.svg).
+*/
+function RoutingGraph(){
+  // id -> { id, kind, name }, ids are the kind and name, e.g. "event:weather"
+  this.nodes = {};
+  this.edges = [];
+}
+RoutingGraph.prototype.node = function( kind, name ){
+  var id = kind + ":" + name;
+  if ( !this.nodes[id] ) {
+    this.nodes[id] = { id: id, kind: kind, name: name };
+  }
+  return id;
+};
+RoutingGraph.prototype.edge = function( kind, from, to, count ){
+  var edge = { kind: kind, from: from, to: to };
+  if ( count !== undefined ) {
+    edge.count = count;
+  }
+  this.edges.push( edge );
+};
+RoutingGraph.prototype.orphans = function(){
+  var graph = this;
+  return Object.keys( this.nodes ).filter(function( id ){
+    var node = graph.nodes[id];
+    return node.kind === "event" && graph.edges.some(function( edge ){
+      return edge.kind === "publishes" && edge.to === id;
+    }) && !graph.edges.some(function( edge ){
+      return edge.kind === "handles" && edge.from === id;
+    });
+  }).map(function( id ){
+    return graph.nodes[id].name;
+  });
+};
+RoutingGraph.prototype.toJSON = function(){
+  var nodes = this.nodes;
+  return {
+    nodes: Object.keys( nodes ).map(function( id ){
+      return nodes[id];
+    }),
+    edges: this.edges.slice(),
+    orphans: this.orphans()
+  };
+};
+RoutingGraph.prototype.toDot = function(){
+  var lines = [ "digraph routing {" ],
+    orphans = this.orphans();
+  for ( var id in this.nodes ) {
+    var node = this.nodes[id],
+      attributes = node.kind === "event" ? 
+        "shape=ellipse" + ( orphans.indexOf( node.name ) !== -1 ? ", color=red" : "" ) : "shape=box";
+    lines.push( "  " + dotString( id ) + " [label=" + dotString( node.name ) + ", " + attributes + "];" );
+  }
+  this.edges.forEach(function( edge ){
+    var label = edge.kind + ( edge.count !== undefined ? " (" + edge.count + ")" : "" );
+    lines.push( "  " + dotString( edge.from ) + " -> " + dotString( edge.to ) + " [label=" + dotString( label ) + "];" );
+  });
+  lines.push( "}" );
+  return lines.join( "\n" );
+};
+function dotString( value ){
+  return "\"" + String( value ).replace( /\\/g, "\\\\" ).replace( /"/g, "\\\"" ) + "\"";
+}
+// table[key][name] += 1
+function countRoute( table, key, name ){
+  var counts = table[key] || ( table[key] = Object.create( null ) );
+  name = name || "anonymous";
+  counts[name] = ( counts[name] || 0 ) + 1;
+}
+
+Mediator.prototype.routingGraph = function(){
+  var graph = new RoutingGraph(), channel, from;
+  for ( channel in this.published ) {
+    for ( from in this.published[channel] ) {
+      graph.edge( "publishes", graph.node( "colleague", from ), graph.node( "event", channel ), 
+        this.published[channel][from] );
+    }
+  }
+  for ( channel in this.channels ) {
+    var event = graph.node( "event", channel );
+    this.channels[channel].forEach(function( subscription ){
+      graph.edge( "handles", event, graph.node( "colleague", subscription.colleague || "anonymous" ) );
+    });
+  }
+  for ( from in this.sent ) {
+    for ( var to in this.sent[from] ) {
+      graph.edge( "sends", graph.node( "colleague", from ), graph.node( "colleague", to ), this.sent[from][to] );
+    }
+  }
+  return graph;
+};
+
+EventAggregator.prototype.routingGraph = function(){
+  var graph = new RoutingGraph(),
+    events = this._events || Object.create( null ),
+    triggered = this._triggered || Object.create( null ),
+    publisher = graph.node( "colleague", graphName( this ) ),
+    name;
+  for ( name in triggered ) {
+    graph.edge( "publishes", publisher, graph.node( "event", name ), triggered[name] );
+  }
+  // every event known, with the callbacks that handle it: its own, its namespaces' and "all"'s
+  var names = Object.keys( triggered ).concat( Object.keys( events ).filter(function( name ){
+    return !triggered[name] && name !== "all";
+  }));
+  names.forEach(function( name ){
+    var event = graph.node( "event", name ),
+      namespaces = name.split( ":" ),
+      handledBy = [ name ];
+    for ( var i = namespaces.length - 1; i > 0; i-- ) {
+      handledBy.push( namespaces.slice( 0, i ).join( ":" ) );
+    }
+    handledBy.push( "all" );
+    handledBy.forEach(function( eventName ){
+      ( events[eventName] || [] ).forEach(function( handler ){
+        var colleague = handler.context ? graphName( handler.context ) : "anonymous";
+        graph.edge( "handles", event, graph.node( "colleague", colleague ) );
+      });
+    });
+  });
+  return graph;
+};
+// A readable name for an object in a routing graph
+function graphName( obj ){
+  if ( obj.name ) {
+    return obj.name;
+  }
+  var type = ( obj.constructor && obj.constructor.name !== "Object" && obj.constructor.name ) || "object";
+  return obj._listenId ? type + " " + obj._listenId : type;
+}
+
+// e.g. which menu clicks does no workflow handle yet?
+// MyFramework.routingGraph().orphans();
 
 
 //-----------------------------------------------------------------------------------
@@ -71,27 +71,40 @@ Mixin.prototype = {
         console.log( "drive sideways" );
     }
 };
-// Extend an existing object with a method from another
+// Extend an existing object with a method from another.
+// A name clash is an error rather than being skipped or overwritten: when the receiving class already has a different 
+// method of the same name (on its prototype), nothing is copied and a TraitCompositionError (see Traits below) lists 
+// the clashing names. Copying a method the class already got from the same mixin is fine.
 function augment( receivingClass, givingClass ) {
+    var methodNames = [],
+        conflicts = [];
     // only provide certain methods
     if ( arguments[2] ) {
-        for ( var i = 2, len = arguments.length; i < len; i++ ) {
-            receivingClass.prototype[arguments[i]] = givingClass.prototype[arguments[i]];
-        }
+        methodNames = Array.prototype.slice.call( arguments, 2 );
     }
     // provide all methods
     else {
         for ( var methodName in givingClass.prototype ) {
-            // check to make sure the receiving class doesn't have a method of the same name as the one currently being processed
-            if ( !Object.hasOwnProperty.call(receivingClass.prototype, methodName) ) {
-                receivingClass.prototype[methodName] = givingClass.prototype[methodName];
-            }
-            // Alternatively (check prototype chain as well):
-            // if ( !receivingClass.prototype[methodName] ) {
-            // receivingClass.prototype[methodName] = givingClass.prototype[methodName];
-            // }
+            methodNames.push( methodName );
+        }
+    }
+    methodNames.forEach(function( methodName ) {
+        // check to make sure the receiving class doesn't have another method of the same name
+        if ( Object.hasOwnProperty.call( receivingClass.prototype, methodName ) && 
+                receivingClass.prototype[methodName] !== givingClass.prototype[methodName] ) {
+            conflicts.push({
+                method: methodName,
+                traits: [ receivingClass.name || "the receiving class", givingClass.name || "the giving class" ],
+                resolution: "leave it out of the methods augment provides"
+            });
         }
+    });
+    if ( conflicts.length ) {
+        throw new TraitCompositionError( conflicts, [] );
     }
+    methodNames.forEach(function( methodName ) {
+        receivingClass.prototype[methodName] = givingClass.prototype[methodName];
+    });
 }
 // Augment the Car constructor to include "driveForward" and "driveBackward"
 augment( Car, Mixin, "driveForward", "driveBackward" );
@@ -114,6 +127,301 @@ var mySportsCar = new Car({
 mySportsCar.driveSideways(); // drive sideways
 
 
+//-----------------------------------------------------------------------------------
+// Traits: like augment(), but a name clash is an error instead of going unnoticed.
+/*
+A Trait is a named set of methods, plus the names of the methods it needs from the class it is composed into. 
+Clashes are resolved explicitly, on a copy of the trait:
+-trait.exclude( "stop", ... ) leaves methods out
+-trait.alias( "stop", "brake" ) also provides the method stop under the name brake
+composeTraits( receivingClass, trait1, trait2, ... ) copies the methods of the traits onto receivingClass.prototype. 
+It throws a TraitCompositionError, and copies nothing, when two traits provide the same method name, including a 
+trait composed into the class by an earlier call. A method the class defines itself (on its prototype) takes 
+precedence over the traits' ones.
+A required method has to be provided by the class or by one of the traits. One the prototype doesn't have may still 
+be set by the constructor, as CarAnimator does with moveLeft, so it is checked on the instance instead: calling a 
+method of the trait on an instance lacking it throws the TraitCompositionError.
+It returns the composition report: method name -> who supplied it, "TraitName", "TraitName.original" for an alias 
+or "class".
+*/
+function Trait( name, methods, requires ) {
+    this.name = name;
+    // method name -> { fn, from: the name it has in the trait that defined it }
+    this.methods = Object.create( null );
+    for ( var methodName in methods ) {
+        this.methods[methodName] = { fn: methods[methodName], from: methodName };
+    }
+    this.requires = requires || [];
+}
+// A trait from the methods of a mixin class such as Mixin above
+Trait.fromClass = function( name, givingClass, requires ) {
+    return new Trait( name, givingClass.prototype, requires );
+};
+Trait.prototype.copy = function() {
+    var trait = new Trait( this.name, {}, this.requires.slice() );
+    for ( var methodName in this.methods ) {
+        trait.methods[methodName] = this.methods[methodName];
+    }
+    return trait;
+};
+Trait.prototype.exclude = function() {
+    var trait = this.copy();
+    for ( var i = 0; i < arguments.length; i++ ) {
+        if ( !trait.methods[arguments[i]] ) {
+            throw new Error( "Trait " + this.name + " has no method \"" + arguments[i] + "\" to exclude" );
+        }
+        delete trait.methods[arguments[i]];
+    }
+    return trait;
+};
+Trait.prototype.alias = function( methodName, alias ) {
+    if ( !this.methods[methodName] ) {
+        throw new Error( "Trait " + this.name + " has no method \"" + methodName + "\" to alias" );
+    }
+    if ( this.methods[alias] ) {
+        throw new Error( "Trait " + this.name + " already has a method \"" + alias + "\", exclude it before aliasing " + 
+            methodName + " to it" );
+    }
+    var trait = this.copy();
+    trait.methods[alias] = this.methods[methodName];
+    return trait;
+};
+// prototype -> { method name -> { supplier, as in the report, fn: the method put on the prototype } }, the methods 
+// earlier composeTraits calls copied, so they aren't taken for methods of the class
+var composedTraits = new WeakMap();
+function composeTraits( receivingClass ) {
+    var traits = Array.prototype.slice.call( arguments, 1 ),
+        proto = receivingClass.prototype,
+        composed = composedTraits.get( proto ) || Object.create( null ),
+        // method name -> [{ trait, method }]
+        providers = Object.create( null ),
+        conflicts = [],
+        // trait name -> the required methods to check on the instance
+        deferred = Object.create( null ),
+        report = {},
+        methodName;
+    traits.forEach(function( trait ) {
+        for ( var methodName in trait.methods ) {
+            providers[methodName] = providers[methodName] || [];
+            providers[methodName].push({ trait: trait, method: trait.methods[methodName] });
+        }
+    });
+    for ( methodName in providers ) {
+        var names = providers[methodName].map(function( provider ) {
+            return provider.trait.name;
+        });
+        // put on the prototype by an earlier call, and not replaced by the class since
+        if ( composed[methodName] && proto[methodName] === composed[methodName].fn ) {
+            conflicts.push({
+                method: methodName,
+                traits: [ composed[methodName].supplier ].concat( names ),
+                resolution: "it was composed into the class before, exclude or alias it in " + names.join( " and " )
+            });
+        } else if ( names.length > 1 && !Object.hasOwnProperty.call( proto, methodName ) ) {
+            conflicts.push({ method: methodName, traits: names });
+        }
+    }
+    traits.forEach(function( trait ) {
+        deferred[trait.name] = trait.requires.filter(function( required ) {
+            return !( required in proto ) && !providers[required];
+        });
+    });
+    if ( conflicts.length ) {
+        throw new TraitCompositionError( conflicts, [] );
+    }
+    for ( methodName in providers ) {
+        var provider = providers[methodName][0],
+            required = deferred[provider.trait.name];
+        if ( Object.hasOwnProperty.call( proto, methodName ) ) {
+            report[methodName] = "class";
+            continue;
+        }
+        proto[methodName] = required.length ? requiringMethods( provider.method.fn, provider.trait.name, required ) : 
+            provider.method.fn;
+        report[methodName] = provider.method.from === methodName ? provider.trait.name : 
+            provider.trait.name + "." + provider.method.from;
+        composed[methodName] = { supplier: report[methodName], fn: proto[methodName] };
+    }
+    composedTraits.set( proto, composed );
+    return report;
+}
+// fn, checking first that the instance it is called on has the required methods of the trait named traitName
+function requiringMethods( fn, traitName, required ) {
+    return function() {
+        var missing = required.filter(function( methodName ) {
+            return typeof this[methodName] !== "function";
+        }, this );
+        if ( missing.length ) {
+            throw new TraitCompositionError( [], missing.map(function( methodName ) {
+                return { method: methodName, trait: traitName };
+            }) );
+        }
+        return fn.apply( this, arguments );
+    };
+}
+// conflicts: [{ method, traits, resolution }], missing: [{ method, trait }]
+function TraitCompositionError( conflicts, missing ) {
+    this.name = "TraitCompositionError";
+    this.conflicts = conflicts;
+    this.missing = missing;
+    this.message = conflicts.map(function( conflict ) {
+        return "\"" + conflict.method + "\" is provided by " + conflict.traits.join( " and " ) + ", " + 
+            ( conflict.resolution || "exclude or alias it in all but one" );
+    }).concat( missing.map(function( required ) {
+        return required.trait + " requires a method \"" + required.method + "\"";
+    }) ).join( "; " );
+    this.stack = new Error( this.message ).stack;
+}
+TraitCompositionError.prototype = Object.create( Error.prototype );
+TraitCompositionError.prototype.constructor = TraitCompositionError;
+
+// Two traits both providing stop
+var Movement = new Trait( "Movement", myMixins, [ "moveLeft" ] );
+var Braking = new Trait( "Braking", {
+    stop: function() {
+        console.log( "brakes on" );
+    },
+    emergencyStop: function() {
+        this.stop();
+        console.log( "hazard lights on" );
+    }
+});
+// like CarAnimator, TruckAnimator sets the moveLeft Movement requires in its constructor
+function TruckAnimator() {
+    this.moveLeft = function() {
+        console.log( "truck moves left" );
+    };
+}
+// composeTraits( TruckAnimator, Movement, Braking ) would throw: "stop" is provided by Movement and Braking
+var composition = composeTraits( TruckAnimator, Movement.alias( "stop", "halt" ).exclude( "stop" ), Braking );
+// { moveUp: "Movement", moveDown: "Movement", halt: "Movement.stop", stop: "Braking", emergencyStop: "Braking" }
+console.log( composition );
+// The same works for CarAnimator itself
+composeTraits( CarAnimator, new Trait( "Swerving", {
+    swerve: function() {
+        this.moveLeft();
+        this.moveUp();
+    }
+}, [ "moveLeft" ] ) );
+new CarAnimator().swerve(); // move left, move up
+
+
+//-----------------------------------------------------------------------------------
+// Method combination: a mixin that wraps existing methods instead of overwriting them or being skipped.
+/*
+combineMethods( target, mixin ) wraps methods of target, a constructor (its prototype's methods) or any object 
+(e.g. an instance, for methods such as CarAnimator's moveLeft which are set in the constructor). The mixin gives, 
+per method name:
+-before: fn( args... ), runs before the method
+-after: fn( args... ), runs after it, its return value is ignored
+-around: fn( next, args... ), runs instead of it, and next() calls the rest of the chain with the same arguments
+All of them are called with the same this as the method. Several mixins on the same method stack like this:
+  around of the last mixin applied -> ... -> around of the first
+    befores, last mixin applied first -> the original method -> afters, first mixin applied first
+The result is the original method's, unless an around returns something else. A mixin naming a method target doesn't 
+have throws, and wraps none of the others.
+*/
+function combineMethods( target, mixin ) {
+    var owner = typeof target === "function" ? target.prototype : target,
+        qualifiers = [ "before", "after", "around" ],
+        missing = [];
+    // all checked before any is wrapped, so a mixin naming a missing method leaves target as it was
+    qualifiers.forEach(function( qualifier ) {
+        for ( var methodName in mixin[qualifier] || {} ) {
+            if ( typeof owner[methodName] !== "function" && missing.indexOf( methodName ) === -1 ) {
+                missing.push( methodName );
+            }
+        }
+    });
+    if ( missing.length ) {
+        throw new Error( "Cannot combine with " + missing.map(function( methodName ) {
+            return "\"" + methodName + "\"";
+        }).join( ", " ) + ", there is no such method to wrap" );
+    }
+    qualifiers.forEach(function( qualifier ) {
+        for ( var methodName in mixin[qualifier] || {} ) {
+            var method = combinedMethod( owner, methodName ),
+                fn = mixin[qualifier][methodName];
+            if ( qualifier === "before" ) {
+                method.combination.befores.unshift( fn );
+            } else if ( qualifier === "after" ) {
+                method.combination.afters.push( fn );
+            } else {
+                method.combination.arounds.push( fn );
+            }
+        }
+    });
+    return target;
+}
+// The combined method owner[methodName], made from the method there so far on first use
+function combinedMethod( owner, methodName ) {
+    var existing = owner[methodName];
+    if ( Object.hasOwnProperty.call( owner, methodName ) && existing.combination ) {
+        return existing;
+    }
+    var combination = { primary: existing, befores: [], afters: [], arounds: [] };
+    function combined() {
+        var self = this,
+            args = Array.prototype.slice.call( arguments );
+        function core() {
+            var i, result;
+            for ( i = 0; i < combination.befores.length; i++ ) {
+                combination.befores[i].apply( self, args );
+            }
+            result = combination.primary.apply( self, args );
+            for ( i = 0; i < combination.afters.length; i++ ) {
+                combination.afters[i].apply( self, args );
+            }
+            return result;
+        }
+        // the first around applied wraps the core, the last one is the outermost
+        var chain = combination.arounds.reduce(function( next, around ) {
+            return function() {
+                return around.apply( self, [ next ].concat( args ) );
+            };
+        }, core );
+        return chain();
+    }
+    combined.combination = combination;
+    owner[methodName] = combined;
+    return combined;
+}
+
+// Logging and collision checks on top of CarAnimator's own movement, without losing it
+var movementLogging = {
+    before: {
+        moveLeft: function() {
+            console.log( "about to move left" );
+        }
+    },
+    after: {
+        moveLeft: function() {
+            console.log( "moved left" );
+        }
+    }
+};
+var collisionCheck = {
+    around: {
+        moveLeft: function( next ) {
+            if ( this.blockedLeft ) {
+                console.log( "can't move left, something is in the way" );
+                return;
+            }
+            return next();
+        }
+    }
+};
+// moveLeft is set per instance by the constructor, so it is combined on the instance
+var myCheckedAnimator = new CarAnimator();
+combineMethods( myCheckedAnimator, movementLogging );
+combineMethods( myCheckedAnimator, collisionCheck );
+myCheckedAnimator.moveLeft(); // about to move left, move left, moved left
+myCheckedAnimator.blockedLeft = true;
+myCheckedAnimator.moveLeft(); // can't move left, something is in the way
+// stop comes from the prototype, so combining it on the constructor covers every CarAnimator
+combineMethods( CarAnimator, { after: { stop: function() { console.log( "engine off" ); } } } );
+
+
 //-----------------------------------------------------------------------------------
 /*
 PROS:
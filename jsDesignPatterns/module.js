@@ -16,24 +16,31 @@ var myObjectLiteral = {
 //Using object literals can assist in encapsulating and organizing your code
 var myModule = {
   myProperty: "someValue",
-  // object literals can contain properties and methods. e.g we can define a further object for module configuration:
-  myConfig: {
-    useCaching: true,
-    language: "en"
-  },
+  // object literals can contain properties and methods. e.g we can define a further object for module configuration, 
+  // here with a schema declaring each setting (see createConfig below):
+  myConfig: createConfig({
+    useCaching: { type: "boolean", default: true },
+    language: { type: "string", default: "en", values: [ "en", "fr", "de" ] }
+  }),
   // a very basic method
   saySomething: function () {
     console.log( "Where in the world is Paul Irish today?" );
   },
   // output a value based on the current configuration
   reportMyConfig: function () {
-    console.log( "Caching is: " + ( this.myConfig.useCaching ? "enabled" : "disabled") );
+    console.log( "Caching is: " + ( this.myConfig.get( "useCaching" ) ? "enabled" : "disabled") );
+  },
+  // output every setting in effect and where its value came from
+  reportMyEffectiveConfig: function () {
+    this.myConfig.report().forEach(function ( setting ) {
+      console.log( setting.key + " = " + JSON.stringify( setting.value ) + " (" + setting.source + ")" );
+    });
   },
-  // override the current configuration
+  // update the current configuration, the settings not mentioned keep their values
   updateMyConfig: function( newConfig ) {
     if ( typeof newConfig === "object" ) {
-      this.myConfig = newConfig;
-      console.log( this.myConfig.language );
+      this.myConfig.update( newConfig, "updateMyConfig" );
+      console.log( this.myConfig.get( "language" ) );
     }
   }
 };
@@ -42,12 +49,179 @@ myModule.saySomething();
 // Outputs: Caching is: enabled
 myModule.reportMyConfig();
 // Outputs: fr
+myModule.updateMyConfig({
+  language: "fr"
+});
+// Outputs: Caching is: enabled (not dropped by the update above)
+myModule.reportMyConfig();
+// Outputs: fr
 myModule.updateMyConfig({
   language: "fr",
   useCaching: false
 });
 // Outputs: Caching is: disabled
 myModule.reportMyConfig();
+// Outputs: useCaching = false (updateMyConfig), language = "fr" (updateMyConfig)
+myModule.reportMyEffectiveConfig();
+
+// --- Configuration with a schema
+//createConfig( schema ) declares the settings, each with a type ("string", "number", "boolean", "array" or 
+//"object"), a default and optionally the values allowed. Settings can be grouped by nesting them under properties:
+//  { cache: { properties: { ttl: { type: "number", default: 60 } } } }
+//createConfig throws a ConfigError listing every default that doesn't match its declaration.
+//update( changes, source ) deep-merges changes into the current values: the settings it doesn't mention keep theirs. 
+//Only groups declared with properties are merged, a setting of type "object" is a single value and is replaced whole. 
+//Nothing is changed when any key is unknown or has a bad value, the ConfigError thrown lists every bad key instead. 
+//Each setting changed notifies the on( "change", fn ) listeners with { key, oldValue, newValue, source }.
+//get( key ) returns a setting ("cache.ttl"), a group ("cache") or, without a key, all of them. report() lists 
+//every setting with its value and source: "default" or the source given to the update that set it.
+function createConfig( schema ) {
+  // "cache.ttl" -> its declaration. Without a prototype, so keys such as "toString" or "constructor" aren't mistaken 
+  // for settings
+  var settings = Object.create( null ),
+    values = Object.create( null ),
+    sources = Object.create( null ),
+    listeners = [];
+  (function flatten( group, prefix ) {
+    for ( var key in group ) {
+      if ( group[key].properties ) {
+        flatten( group[key].properties, prefix + key + "." );
+      } else {
+        settings[prefix + key] = group[key];
+        values[prefix + key] = group[key].default;
+        sources[prefix + key] = "default";
+      }
+    }
+  })( schema, "" );
+
+  function isGroup( key ) {
+    return Object.keys( settings ).some(function ( setting ) {
+      return setting.indexOf( key + "." ) === 0;
+    });
+  }
+  function typeOf( value ) {
+    return Array.isArray( value ) ? "array" : value === null ? "null" : typeof value;
+  }
+  // spread nested changes into settings keys, noting the keys that aren't settings
+  function collect( changes, prefix, flat, errors ) {
+    for ( var key in changes ) {
+      var path = prefix + key;
+      if ( settings[path] ) {
+        flat[path] = changes[key];
+      } else if ( isGroup( path ) && typeOf( changes[key] ) === "object" ) {
+        collect( changes[key], path + ".", flat, errors );
+      } else if ( isGroup( path ) ) {
+        errors.push({ key: path, message: path + " is a group of settings and expects an object" });
+      } else {
+        errors.push({ key: path, message: path + " is not a known setting" });
+      }
+    }
+  }
+  function check( key, value ) {
+    var setting = settings[key];
+    if ( setting.type && typeOf( value ) !== setting.type ) {
+      return key + " must be a " + setting.type + " (got " + typeOf( value ) + ")";
+    }
+    if ( setting.values && setting.values.indexOf( value ) === -1 ) {
+      return key + " must be one of " + setting.values.join( ", " ) + " (got " + JSON.stringify( value ) + ")";
+    }
+    return null;
+  }
+  var defaultErrors = [];
+  for ( var key in settings ) {
+    var message = check( key, values[key] );
+    if ( message ) {
+      defaultErrors.push({ key: key, message: "the default of " + message });
+    }
+  }
+  if ( defaultErrors.length ) {
+    throw new ConfigError( defaultErrors );
+  }
+
+  return {
+    get: function ( key ) {
+      if ( key && settings[key] ) {
+        return values[key];
+      }
+      var prefix = key ? key + "." : "",
+        result;
+      for ( var path in values ) {
+        if ( path.indexOf( prefix ) !== 0 ) {
+          continue;
+        }
+        var parts = path.slice( prefix.length ).split( "." ),
+          target = result || ( result = {} );
+        for ( var i = 0; i < parts.length - 1; i++ ) {
+          target = target[parts[i]] || ( target[parts[i]] = {} );
+        }
+        target[parts[parts.length - 1]] = values[path];
+      }
+      return result;
+    },
+    // Returns the changes made, as passed to the change listeners
+    update: function ( changes, source ) {
+      var flat = Object.create( null ),
+        errors = [],
+        changed = [];
+      if ( typeOf( changes ) !== "object" ) {
+        errors.push({ key: "", message: "a configuration update must be an object (got " + typeOf( changes ) + ")" });
+      } else {
+        collect( changes, "", flat, errors );
+      }
+      for ( var key in flat ) {
+        var message = check( key, flat[key] );
+        if ( message ) {
+          errors.push({ key: key, message: message });
+        }
+      }
+      if ( errors.length ) {
+        throw new ConfigError( errors );
+      }
+      for ( key in flat ) {
+        if ( values[key] !== flat[key] ) {
+          changed.push({ key: key, oldValue: values[key], newValue: flat[key], source: source || "update" });
+          values[key] = flat[key];
+        }
+        sources[key] = source || "update";
+      }
+      changed.forEach(function ( change ) {
+        listeners.slice().forEach(function ( listener ) {
+          listener( change );
+        });
+      });
+      return changed;
+    },
+    // Returns a function removing the listener again
+    on: function ( event, fn ) {
+      if ( event !== "change" ) {
+        throw new Error( "Unknown configuration event \"" + event + "\", only \"change\" is supported" );
+      }
+      listeners.push( fn );
+      return function () {
+        var index = listeners.indexOf( fn );
+        if ( index !== -1 ) {
+          listeners.splice( index, 1 );
+        }
+      };
+    },
+    report: function () {
+      return Object.keys( settings ).map(function ( key ) {
+        return { key: key, value: values[key], source: sources[key] };
+      });
+    }
+  };
+}
+// errors: [{ key, message }], one for each bad key of the update or bad default of the schema
+function ConfigError( errors ) {
+  this.name = "ConfigError";
+  this.errors = errors;
+  this.message = "Invalid configuration: " + errors.map(function ( error ) {
+    return error.message;
+  }).join( "; " );
+  this.stack = new Error( this.message ).stack;
+}
+ConfigError.prototype = Object.create( Error.prototype );
+ConfigError.prototype.constructor = ConfigError;
 
 /*
 -In JavaScript, the Module pattern is used to further emulate the concept of classes in such a way that we're able to include both 
@@ -149,12 +323,18 @@ var myModule = (function () {
 // --- jQuery
 //A library function is defined which declares a new library and automatically binds up 
 //the init function to document.ready when new libraries (i.e. modules) are created.
+//Without a DOM (e.g. in Node) there is no document.ready to wait for, so init is called straight away.
 function library( module ) {
-  $( function() {
+  function init() {
     if ( module.init ) {
       module.init();
     }
-  });
+  }
+  if ( typeof document !== "undefined" && typeof $ === "function" ) {
+    $( init );
+  } else {
+    init();
+  }
   return module;
 }
 var myLibrary = library(function () {
@@ -165,6 +345,646 @@ var myLibrary = library(function () {
   };
 }());
 
+// --- dependency injection
+//Instead of passing the modules a module needs by hand, as in ( jQuery, _ ) above, a module declares them by name:
+//library.define( name, deps, factory ) registers a module, factory is called with the modules named in deps.
+//library.require( names ) returns the modules named (an array for an array of names), creating each module and its 
+//dependencies first, in dependency order. Every module is created once and goes through library(), so its init runs.
+//A circular dependency throws an error showing the cycle, e.g. "a -> b -> c -> a".
+(function () {
+  // name -> { deps, factory, created, instance }, without a prototype so any name can be defined
+  var modules = Object.create( null );
+  // path: the modules being created, to detect cycles and report where a missing module was needed
+  function resolve( name, path ) {
+    var module = modules[name];
+    if ( path.indexOf( name ) !== -1 ) {
+      throw new Error( "Circular dependency: " + path.slice( path.indexOf( name ) ).concat( name ).join( " -> " ) );
+    }
+    if ( !module ) {
+      throw new Error( "Module \"" + name + "\" is not defined" + 
+        ( path.length ? " (required by " + path.join( " -> " ) + ")" : "" ) );
+    }
+    if ( !module.created ) {
+      var deps = [];
+      for ( var i = 0; i < module.deps.length; i++ ) {
+        deps.push( resolve( module.deps[i], path.concat( name ) ) );
+      }
+      module.instance = library( module.factory.apply( null, deps ) || {} );
+      module.created = true;
+    }
+    return module.instance;
+  }
+  library.define = function ( name, deps, factory ) {
+    if ( typeof deps === "function" ) {
+      factory = deps;
+      deps = [];
+    }
+    if ( modules[name] ) {
+      throw new Error( "Module \"" + name + "\" is already defined" );
+    }
+    modules[name] = { deps: deps || [], factory: factory, created: false, instance: undefined };
+  };
+  library.require = function ( names ) {
+    if ( typeof names === "string" ) {
+      return resolve( names, [] );
+    }
+    return names.map(function ( name ) {
+      return resolve( name, [] );
+    });
+  };
+})();
+// Usage:
+library.define( "logger", function () {
+  return {
+    log: function ( message ) {
+      console.log( message );
+    }
+  };
+});
+library.define( "greeter", [ "logger" ], function ( logger ) {
+  return {
+    init: function () {
+      logger.log( "greeter ready" );
+    },
+    greet: function ( name ) {
+      logger.log( "Hello " + name );
+    }
+  };
+});
+// Outputs: greeter ready, then Hello Addy. On a page with jQuery, library() defers init until the DOM is ready, 
+// so there Hello Addy comes first and greeter ready follows
+library.require( "greeter" ).greet( "Addy" );
+
+
+//-----------------------------------------------------------------------------------
+// --- Sandboxed modules with a lifecycle
+//An application core hosts many myLibrary-style modules. appCore.register( name, creator ) declares a module, 
+//creator( sandbox ) returns its instance, with any of init, start, stop and destroy:
+//-start( name ) creates the instance and calls init the first time, then start
+//-stop( name ) calls stop and releases every subscription and timer the module made through its sandbox
+//-destroy( name ) stops the module if it runs and calls destroy, a later start creates a fresh instance
+//The sandbox is all a module gets to see of the application: subscribe, publish, setTimeout, setInterval, 
+//clearTimeout, clearInterval and log. Errors thrown by a module (in its lifecycle methods, handlers or timers) are 
+//caught and reported to appCore.onError( handler ) with the module's name, so other modules keep working. A module 
+//failing in init or start is marked "failed" and its resources are released. The next start tries again: with a new 
+//instance after a failed init, with the same one (init having run) after a failed start.
+//A sandbox only works while its instance is starting or running: once the module is stopped, or the instance thrown 
+//away after a failed init or a destroy, subscribe, publish, setTimeout and setInterval do nothing (the timer 
+//functions return null), so late callbacks can't give a module that doesn't run live resources.
+var appCore = (function () {
+  // name -> { creator, instance, state, subscriptions, timers, sandbox, active }; sandbox is the one handed to the 
+  // current instance, active says whether it may subscribe, publish and schedule
+  var modules = Object.create( null ),
+    // topic -> [{ name, fn }]
+    topics = Object.create( null ),
+    errorHandler = function ( error, name ) {
+      console.error( "Module " + name + " failed: ", error );
+    };
+
+  function guard( name, fn ) {
+    try {
+      return fn();
+    } catch ( error ) {
+      errorHandler( error, name );
+      throw error;
+    }
+  }
+  function release( module ) {
+    module.subscriptions.forEach(function ( subscription ) {
+      var subscribers = topics[subscription.topic] || [],
+        index = subscribers.indexOf( subscription );
+      if ( index !== -1 ) {
+        subscribers.splice( index, 1 );
+      }
+    });
+    module.subscriptions = [];
+    module.timers.forEach(function ( timer ) {
+      clearTimeout( timer );
+      clearInterval( timer );
+    });
+    module.timers.clear();
+  }
+  function createSandbox( name, module ) {
+    var sandbox;
+    // only the sandbox of the module's current instance, and only while that one is starting or running
+    function live() {
+      return module.sandbox === sandbox && module.active;
+    }
+    function track( schedule, fn, delay, repeat ) {
+      if ( !live() ) {
+        return null;
+      }
+      var timer = schedule(function () {
+        if ( !repeat ) {
+          module.timers.delete( timer );
+        }
+        try {
+          fn();
+        } catch ( error ) {
+          errorHandler( error, name );
+        }
+      }, delay );
+      module.timers.add( timer );
+      return timer;
+    }
+    function untrack( clear, timer ) {
+      module.timers.delete( timer );
+      clear( timer );
+    }
+    sandbox = {
+      name: name,
+      subscribe: function ( topic, fn ) {
+        if ( !live() ) {
+          return;
+        }
+        var subscription = { topic: topic, name: name, fn: fn };
+        ( topics[topic] || ( topics[topic] = [] ) ).push( subscription );
+        module.subscriptions.push( subscription );
+      },
+      publish: function ( topic, data ) {
+        if ( !live() ) {
+          return;
+        }
+        ( topics[topic] || [] ).slice().forEach(function ( subscription ) {
+          try {
+            subscription.fn( data, topic );
+          } catch ( error ) {
+            errorHandler( error, subscription.name );
+          }
+        });
+      },
+      setTimeout: function ( fn, delay ) {
+        return track( setTimeout, fn, delay, false );
+      },
+      setInterval: function ( fn, delay ) {
+        return track( setInterval, fn, delay, true );
+      },
+      clearTimeout: function ( timer ) {
+        untrack( clearTimeout, timer );
+      },
+      clearInterval: function ( timer ) {
+        untrack( clearInterval, timer );
+      },
+      log: function ( message ) {
+        console.log( "[" + name + "] " + message );
+      }
+    };
+    return sandbox;
+  }
+
+  return {
+    register: function ( name, creator ) {
+      if ( modules[name] ) {
+        throw new Error( "Module \"" + name + "\" is already registered" );
+      }
+      modules[name] = { creator: creator, instance: null, state: "registered", subscriptions: [], timers: new Set(),
+        sandbox: null, active: false };
+    },
+    // Returns true if the module runs afterwards
+    start: function ( name ) {
+      var module = modules[name];
+      if ( !module ) {
+        throw new Error( "Module \"" + name + "\" is not registered" );
+      }
+      if ( module.state === "running" ) {
+        return true;
+      }
+      module.active = true;
+      try {
+        guard( name, function () {
+          // only kept once init succeeded, so a module failing in init is created afresh by the next start
+          if ( !module.instance ) {
+            module.sandbox = createSandbox( name, module );
+            var instance = module.creator( module.sandbox ) || {};
+            if ( instance.init ) {
+              instance.init();
+            }
+            module.instance = instance;
+          }
+          if ( module.instance.start ) {
+            module.instance.start();
+          }
+        });
+      } catch ( error ) {
+        module.state = "failed";
+        module.active = false;
+        if ( !module.instance ) {
+          // the instance was thrown away, and its sandbox with it
+          module.sandbox = null;
+        }
+        release( module );
+        return false;
+      }
+      module.state = "running";
+      return true;
+    },
+    stop: function ( name ) {
+      var module = modules[name];
+      if ( !module || module.state !== "running" ) {
+        return;
+      }
+      try {
+        guard( name, function () {
+          if ( module.instance.stop ) {
+            module.instance.stop();
+          }
+        });
+      } catch ( error ) {
+        // reported already, the module is stopped all the same
+      }
+      module.active = false;
+      release( module );
+      module.state = "stopped";
+    },
+    destroy: function ( name ) {
+      var module = modules[name];
+      if ( !module || !module.instance ) {
+        return;
+      }
+      this.stop( name );
+      try {
+        guard( name, function () {
+          if ( module.instance.destroy ) {
+            module.instance.destroy();
+          }
+        });
+      } catch ( error ) {
+        // reported already
+      }
+      release( module );
+      module.instance = null;
+      module.sandbox = null;
+      module.state = "destroyed";
+    },
+    startAll: function () {
+      for ( var name in modules ) {
+        this.start( name );
+      }
+    },
+    stopAll: function () {
+      for ( var name in modules ) {
+        this.stop( name );
+      }
+    },
+    // "registered", "running", "stopped", "failed" or "destroyed"
+    state: function ( name ) {
+      return modules[name] && modules[name].state;
+    },
+    onError: function ( handler ) {
+      errorHandler = handler;
+    }
+  };
+})();
+// Usage:
+appCore.register( "clock", function ( sandbox ) {
+  var timer;
+  return {
+    start: function () {
+      timer = sandbox.setInterval(function () {
+        sandbox.publish( "clock/tick", Date.now() );
+      }, 1000 );
+    }
+    // no stop needed: stopping the module clears the interval
+  };
+});
+appCore.register( "statusBar", function ( sandbox ) {
+  return {
+    // subscribing in start rather than init, as stopping releases the subscriptions
+    start: function () {
+      sandbox.subscribe( "clock/tick", function ( time ) {
+        sandbox.log( new Date( time ).toTimeString() );
+      });
+    }
+  };
+});
+appCore.startAll();
+// ... later
+appCore.stopAll();
+
+//-----------------------------------------------------------------------------------
+// --- Testable privates
+//defineModule( definition ) builds a module from its private state and its public API:
+//-definition.privates() returns the private variables and functions, as a fresh object on every call
+//-definition.publics( priv ) returns the public API, which reaches the privates through priv (private functions 
+//are called as priv.fn() so they can use this to reach the other privates)
+//The privates stay as hidden as in the IIFE version. Only when defineModule.testMode is switched on before a module 
+//is defined, defineModule.inspect( module ) hands out an inspection handle for it: get( name ), set( name, value ), 
+//call( name, args... ) and reset(), which puts the privates back to their initial state.
+
+// --- Hot replacement
+//The module returned is a stable facade: its methods forward to the current implementation, so the modules holding 
+//on to it keep working when defineModule.replace( module, newDefinition ) swaps the implementation at runtime (for 
+//development reloading or feature flags). The implementation's methods are called with the facade as this, so 
+//this.otherMethod() reaches extensions and promoted members too (and no longer reaches a hidden member). Its other 
+//members are live properties of the facade: reading and writing them reads and writes the current implementation's. 
+//The facade only manages the members it got from the module, properties a consumer adds to it are left alone. 
+//The private variables carry over by name into the new privates, or through newDefinition.migrate( oldState ) when 
+//it is given, which gets a copy of the old private variables (not the functions) and returns the variables for the 
+//new implementation. A replace whose migrate or publics throws changes nothing: the old implementation stays.
+
+// --- Late-bound methods and visibility
+//A module defined with extensible: true can gain methods later, through defineModule.extend( module, name, fn ), 
+//which still reach its privates: fn is called with the module as this, a private-scope accessor (get( name ), 
+//set( name, value ), call( name, args... )) and then the arguments of the call. The name mustn't be taken by a member 
+//of the module, public or hidden.
+//Visibility can change without rewriting the module: defineModule.promote( module, name ) makes a private member 
+//public (a private variable as a live property) or a hidden public one visible again, defineModule.hide( module, 
+//name ) takes a member off the public API. Extensions and visibility changes survive a replace.
+var defineModule = (function () {
+  // public module -> { definition, priv, implementation, inspectable, extensions, promoted, hidden, forwarders, 
+  // exposed: the names the facade has from the module }
+  var modules = new WeakMap();
+
+  function privatesOf( definition ) {
+    return definition.privates ? definition.privates() : {};
+  }
+  function accessor( priv ) {
+    return {
+      get: function ( name ) {
+        return priv[name];
+      },
+      set: function ( name, value ) {
+        priv[name] = value;
+      },
+      call: function ( name ) {
+        return priv[name].apply( priv, Array.prototype.slice.call( arguments, 1 ) );
+      }
+    };
+  }
+  // call the method the public name stands for right now: an extension, a promoted private or the implementation's
+  function invoke( module, record, name, args ) {
+    if ( record.extensions[name] ) {
+      return record.extensions[name].apply( module, [ accessor( record.priv ) ].concat( args ) );
+    }
+    if ( record.promoted.indexOf( name ) !== -1 ) {
+      return record.priv[name].apply( record.priv, args );
+    }
+    return record.implementation[name].apply( module, args );
+  }
+  // the same forwarder for a name every time, so references to module methods stay valid
+  function forwarder( module, record, name ) {
+    return record.forwarders[name] || ( record.forwarders[name] = function () {
+      return invoke( module, record, name, Array.prototype.slice.call( arguments ) );
+    });
+  }
+  // a property of the facade reading and writing owner()[name], owner being the privates or the implementation
+  function liveProperty( module, name, owner ) {
+    Object.defineProperty( module, name, {
+      get: function () {
+        return owner()[name];
+      },
+      set: function ( value ) {
+        owner()[name] = value;
+      },
+      enumerable: true,
+      configurable: true
+    });
+  }
+  // rebuild the members of the facade that come from the module: forwarders for the methods and live properties for 
+  // the implementation's other members and the promoted private variables
+  function expose( module, record ) {
+    var implementation = record.implementation,
+      priv = record.priv;
+    record.exposed.forEach(function ( name ) {
+      delete module[name];
+    });
+    record.exposed = [];
+    Object.keys( implementation ).concat( Object.keys( record.extensions ), record.promoted ).forEach(function ( name ) {
+      if ( record.hidden.indexOf( name ) !== -1 || record.exposed.indexOf( name ) !== -1 ) {
+        return;
+      }
+      record.exposed.push( name );
+      if ( record.promoted.indexOf( name ) !== -1 && typeof priv[name] !== "function" ) {
+        liveProperty( module, name, function () {
+          return record.priv;
+        });
+      } else if ( record.extensions[name] || record.promoted.indexOf( name ) !== -1 || 
+          typeof implementation[name] === "function" ) {
+        module[name] = forwarder( module, record, name );
+      } else {
+        liveProperty( module, name, function () {
+          return record.implementation;
+        });
+      }
+    });
+  }
+  // replace the contents of priv, the implementation holds on to the object itself
+  function refill( priv, state ) {
+    Object.keys( priv ).forEach(function ( name ) {
+      delete priv[name];
+    });
+    Object.assign( priv, state );
+  }
+
+  function recordOf( module ) {
+    var record = modules.get( module );
+    if ( !record ) {
+      throw new Error( "Not a module created by defineModule" );
+    }
+    return record;
+  }
+
+  function defineModule( definition ) {
+    var record = {
+        definition: definition,
+        priv: privatesOf( definition ),
+        inspectable: defineModule.testMode,
+        extensions: Object.create( null ),
+        promoted: [],
+        hidden: [],
+        forwarders: Object.create( null ),
+        exposed: []
+      },
+      module = {};
+    record.implementation = definition.publics( record.priv );
+    expose( module, record );
+    modules.set( module, record );
+    return module;
+  }
+  defineModule.testMode = false;
+  defineModule.inspect = function ( module ) {
+    var record = modules.get( module );
+    if ( !record || !record.inspectable ) {
+      throw new Error( defineModule.testMode ? "Module was defined before test mode was switched on" : 
+        "Modules can only be inspected in test mode (defineModule.testMode = true)" );
+    }
+    var inspector = accessor( record.priv );
+    inspector.reset = function () {
+      refill( record.priv, privatesOf( record.definition ) );
+    };
+    return inspector;
+  };
+  defineModule.replace = function ( module, definition ) {
+    var record = recordOf( module ),
+      oldState = {},
+      state = privatesOf( definition );
+    Object.keys( record.priv ).forEach(function ( name ) {
+      if ( typeof record.priv[name] !== "function" ) {
+        oldState[name] = record.priv[name];
+      }
+    });
+    if ( definition.migrate ) {
+      Object.assign( state, definition.migrate( oldState ) );
+    } else {
+      Object.keys( oldState ).forEach(function ( name ) {
+        if ( name in state && typeof state[name] !== "function" ) {
+          state[name] = oldState[name];
+        }
+      });
+    }
+    // the same priv object, so test inspection handles keep working. Put back as it was when the new publics throws, 
+    // the module then keeps running its old implementation
+    var previous = Object.assign( {}, record.priv ),
+      implementation;
+    refill( record.priv, state );
+    try {
+      implementation = definition.publics( record.priv );
+    } catch ( error ) {
+      refill( record.priv, previous );
+      throw error;
+    }
+    record.definition = definition;
+    record.implementation = implementation;
+    expose( module, record );
+    return module;
+  };
+  defineModule.extend = function ( module, name, fn ) {
+    var record = recordOf( module );
+    if ( !record.definition.extensible ) {
+      throw new Error( "Module isn't extensible, define it with extensible: true" );
+    }
+    if ( name in module || record.extensions[name] ) {
+      throw new Error( "Module already has a member \"" + name + "\"" );
+    }
+    // a hidden member isn't on the facade, but promote would bring it back over the extension
+    if ( record.hidden.indexOf( name ) !== -1 ) {
+      throw new Error( "Module already has a hidden member \"" + name + "\", promote it instead" );
+    }
+    record.extensions[name] = fn;
+    expose( module, record );
+    return module;
+  };
+  defineModule.promote = function ( module, name ) {
+    var record = recordOf( module ),
+      hidden = record.hidden.indexOf( name );
+    if ( hidden !== -1 ) {
+      record.hidden.splice( hidden, 1 );
+    } else if ( Object.prototype.hasOwnProperty.call( record.priv, name ) ) {
+      if ( record.promoted.indexOf( name ) === -1 ) {
+        record.promoted.push( name );
+      }
+    } else {
+      throw new Error( "Module has no private or hidden member \"" + name + "\"" );
+    }
+    expose( module, record );
+    return module;
+  };
+  defineModule.hide = function ( module, name ) {
+    var record = recordOf( module ),
+      promoted = record.promoted.indexOf( name );
+    // a property a consumer added isn't the module's to hide
+    if ( record.exposed.indexOf( name ) === -1 ) {
+      throw new Error( "Module has no public member \"" + name + "\"" );
+    }
+    if ( promoted !== -1 ) {
+      record.promoted.splice( promoted, 1 );
+    } else {
+      record.hidden.push( name );
+    }
+    expose( module, record );
+    return module;
+  };
+  return defineModule;
+})();
+// Usage: testModule from above, defined this way
+var testableModule = defineModule({
+  privates: function () {
+    return { counter: 0 };
+  },
+  publics: function ( priv ) {
+    return {
+      incrementCounter: function () {
+        return priv.counter++;
+      },
+      resetCounter: function () {
+        console.log( "counter value prior to reset: " + priv.counter );
+        priv.counter = 0;
+      }
+    };
+  }
+});
+// In a test, with defineModule.testMode = true set before testableModule is defined:
+// testableModule.incrementCounter();
+// defineModule.inspect( testableModule ).get( "counter" ); // 1
+// defineModule.inspect( testableModule ).reset(); // counter is 0 again, for the next test
+
+// myNamespace from above, replaced while running: the public object stays the same and myPrivateVar is migrated
+var myHotNamespace = defineModule({
+  privates: function () {
+    return { myPrivateVar: 0 };
+  },
+  publics: function ( priv ) {
+    return {
+      myPublicVar: "foo",
+      myPublicFunction: function ( bar ) {
+        priv.myPrivateVar++;
+        console.log( bar );
+      }
+    };
+  }
+});
+myHotNamespace.myPublicFunction( "before" );
+defineModule.replace( myHotNamespace, {
+  privates: function () {
+    return { calls: 0 };
+  },
+  // the counter was renamed in the new implementation
+  migrate: function ( oldState ) {
+    return { calls: oldState.myPrivateVar };
+  },
+  publics: function ( priv ) {
+    return {
+      myPublicVar: "foo",
+      myPublicFunction: function ( bar ) {
+        priv.calls++;
+        console.log( "call " + priv.calls + ": " + bar );
+      }
+    };
+  }
+});
+// Outputs: call 2: after
+myHotNamespace.myPublicFunction( "after" );
+
+// A counter whose privates a method added later can still reach
+var extensibleCounter = defineModule({
+  extensible: true,
+  privates: function () {
+    return {
+      count: 0,
+      log: function ( message ) {
+        console.log( "count " + this.count + ": " + message );
+      }
+    };
+  },
+  publics: function ( priv ) {
+    return {
+      increment: function () {
+        priv.count++;
+      }
+    };
+  }
+});
+defineModule.extend( extensibleCounter, "incrementBy", function ( scope, amount ) {
+  scope.set( "count", scope.get( "count" ) + amount );
+  scope.call( "log", "incremented by " + amount );
+});
+// Outputs: count 5: incremented by 5
+extensibleCounter.incrementBy( 5 );
+// count becomes a public, read-write property, and increment is no longer public
+defineModule.promote( extensibleCounter, "count" );
+defineModule.hide( extensibleCounter, "increment" );
+console.log( extensibleCounter.count ); // 5
+
 //-----------------------------------------------------------------------------------
 /*
 //PROS:
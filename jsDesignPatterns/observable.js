@@ -0,0 +1,1083 @@
+/*
+The observer and publish/subscribe library used by observer.js: ObserverList, Subject, Observer and the subject 
+operators, and the PubSub topic channel with its retention, request/response, middleware, tracing and bridge.
+It has no dependencies and touches no DOM, so it loads the same on a page (before observer.js, or in a widget), in 
+a web worker (importScripts) and in Node or a worker thread (require, which returns the names listed at the end).
+*/
+
+// --- The list of dependent Observers a subject may have:
+/*
+The observers are kept in a Set of entries (which remembers insertion order) and found through a WeakMap, so adding, 
+removing and looking up an observer take constant time however many observers a subject has. An observer is only 
+held once: adding it again is a no-op, and so is removing one that isn't in the list.
+Iterating is done over a snapshot, an array of the observers at the time it was taken. The snapshot is cached until 
+the list changes, so get( i ) over the whole list costs no more than one snapshot, and it is never modified afterwards 
+(nor should its callers modify it), so it stays stable while observers come and go during a notify. A snapshot 
+holding weakly held observers is only cached until the current job is over, as it keeps them alive meanwhile.
+Observers are ordered by priority, highest first (default 0), and by the order they were added on equal priority.
+An observer added with { weak: true } is only held through a WeakRef: once nothing else references it, it is 
+garbage collected and pruned from the list (through a FinalizationRegistry, or when a snapshot finds it gone).
+*/
+function ObserverList(){
+  // entries: { observer, ref, priority, once, order }, a weak entry has a WeakRef in ref instead of the observer
+  this.observerList = new Set();
+  // observer -> its entry
+  this.entries = new WeakMap();
+  // entries sorted in notification order, and the snapshot of their observers
+  this.cachedOrder = null;
+  this.cachedObservers = null;
+  this.added = 0;
+  this.pruned = 0;
+  this.registry = null;
+}
+// options.priority: a number, higher is notified earlier. options.once: remove the observer after its first update.
+// options.weak: don't keep the observer alive
+ObserverList.prototype.add = function( obj, options ){
+  if ( !this.entries.has( obj ) ) {
+    options = options || {};
+    var entry = {
+      observer: options.weak ? null : obj,
+      ref: options.weak ? new WeakRef( obj ) : null,
+      priority: Number( options.priority ) || 0,
+      once: !!options.once,
+      order: this.added++
+    };
+    if ( options.weak ) {
+      this.finalizationRegistry().register( obj, entry, entry );
+    }
+    this.observerList.add( entry );
+    this.entries.set( obj, entry );
+    this.invalidate();
+  }
+  return this.observerList.size;
+};
+ObserverList.prototype.finalizationRegistry = function(){
+  var list = this;
+  if ( !this.registry ) {
+    this.registry = new FinalizationRegistry(function( entry ){
+      if ( list.observerList.has( entry ) ) {
+        list.prune( entry );
+      }
+    });
+  }
+  return this.registry;
+};
+// The observer of an entry, undefined once a weakly held one was collected
+ObserverList.prototype.deref = function( entry ){
+  return entry.ref ? entry.ref.deref() : entry.observer;
+};
+// Returns true if obj was removed, false if it wasn't in the list
+ObserverList.prototype.remove = function( obj ){
+  var entry = this.entries.get( obj );
+  return !!entry && this.removeEntry( entry );
+};
+ObserverList.prototype.removeEntry = function( entry ){
+  if ( !this.observerList.delete( entry ) ) {
+    return false;
+  }
+  var obj = this.deref( entry );
+  if ( obj !== undefined ) {
+    this.entries.delete( obj );
+  }
+  if ( entry.ref ) {
+    this.registry.unregister( entry );
+  }
+  this.invalidate();
+  return true;
+};
+ObserverList.prototype.invalidate = function(){
+  this.cachedOrder = null;
+  this.cachedObservers = null;
+};
+ObserverList.prototype.prune = function( entry ){
+  this.removeEntry( entry );
+  this.pruned++;
+};
+ObserverList.prototype.has = function( obj ){
+  return this.entries.has( obj );
+};
+// The entry obj was added with, undefined if it isn't in the list
+ObserverList.prototype.entry = function( obj ){
+  return this.entries.get( obj );
+};
+// Weakly held observers count until they are pruned
+ObserverList.prototype.count = function(){
+  return this.observerList.size;
+};
+// The observers in notification order
+ObserverList.prototype.snapshot = function(){
+  if ( this.cachedObservers ) {
+    return this.cachedObservers;
+  }
+  if ( !this.cachedOrder ) {
+    this.cachedOrder = Array.from( this.observerList ).sort(function( a, b ){
+      return ( b.priority - a.priority ) || ( a.order - b.order );
+    });
+  }
+  var observers = [],
+    weak = false,
+    list = this;
+  // the cached order holds entries rather than observers, so it doesn't keep the weakly held ones alive
+  var order = this.cachedOrder;
+  for ( var i = 0; i < order.length; i++ ) {
+    var obj = this.deref( order[i] );
+    if ( obj === undefined ) {
+      if ( this.observerList.has( order[i] ) ) {
+        // invalidates the caches, the order is rebuilt by the next snapshot
+        this.prune( order[i] );
+      }
+    } else {
+      weak = weak || !!order[i].ref;
+      observers.push( obj );
+    }
+  }
+  this.cachedObservers = observers;
+  if ( weak ) {
+    // a weakly held observer dereferenced stays alive until the current job is over anyway
+    queueMicrotask(function(){
+      if ( list.cachedObservers === observers ) {
+        list.cachedObservers = null;
+      }
+    });
+  }
+  return observers;
+};
+// { live, strong, weak, pruned }: the observers held, how many of them strongly and weakly, and how many weakly 
+// held observers were pruned so far after being garbage collected
+ObserverList.prototype.diagnostics = function(){
+  var report = { live: 0, strong: 0, weak: 0, pruned: this.pruned },
+    list = this;
+  this.observerList.forEach(function( entry ){
+    if ( !entry.ref ) {
+      report.strong++;
+    } else if ( list.deref( entry ) !== undefined ) {
+      report.weak++;
+    }
+  });
+  report.live = report.strong + report.weak;
+  return report;
+};
+ObserverList.prototype.get = function( index ){
+  var observers = this.snapshot();
+  if( index > -1 && index < observers.length ){
+    return observers[ index ];
+  }
+};
+ObserverList.prototype.indexOf = function( obj, startIndex ){
+  return this.entries.has( obj ) ? this.snapshot().indexOf( obj, startIndex || 0 ) : -1;
+};
+// Index based removal is kept for compatibility, an index out of range (like indexOf's -1) removes nothing
+ObserverList.prototype.removeAt = function( index ){
+  var obj = this.get( index );
+  return obj !== undefined && this.remove( obj );
+};
+
+// --- When notifications are delivered, shared by Subject and PubSub:
+/*
+  "sync"       delivered straight away, inside the caller's stack (the default)
+  "microtask"  each notification is delivered on its own in a microtask, once the caller's code has finished
+  "batched"    the notifications for the same key made within one tick are coalesced and delivered together, 
+               as an array, in a microtask
+For the asynchronous modes push returns a promise for what deliver returned.
+*/
+function DeliveryQueue( mode ){
+  mode = mode || "sync";
+  if ( DeliveryQueue.modes.indexOf( mode ) === -1 ) {
+    throw new TypeError( "Unknown delivery mode \"" + mode + "\", expected one of: " + DeliveryQueue.modes.join( ", " ) );
+  }
+  this.mode = mode;
+  // key -> { payloads, promise } of the batch waiting to be delivered
+  this.batches = Object.create( null );
+}
+DeliveryQueue.modes = [ "sync", "microtask", "batched" ];
+DeliveryQueue.prototype.push = function( key, payload, deliver ){
+  if ( this.mode === "sync" ) {
+    return deliver( payload );
+  }
+  if ( this.mode === "microtask" ) {
+    return Promise.resolve().then(function(){
+      return deliver( payload );
+    });
+  }
+  var batches = this.batches,
+    batch = batches[key];
+  if ( !batch ) {
+    batch = batches[key] = { payloads: [] };
+    batch.promise = Promise.resolve().then(function(){
+      delete batches[key];
+      return deliver( batch.payloads );
+    });
+  }
+  batch.payloads.push( payload );
+  return batch.promise;
+};
+
+// --- The Subject and the ability to add, remove or notify observers on the observer list:
+// options.onError: where failed updates are reported, see setErrorHandler
+// options.delivery: "sync", "microtask" or "batched", see DeliveryQueue. In batched mode update is called once per 
+// tick with the array of the contexts notified during it.
+function Subject( options ){
+  options = options || {};
+  this.observers = new ObserverList();
+  this.errorHandler = options.onError || null;
+  this.delivery = new DeliveryQueue( options.delivery );
+}
+// A failing observer doesn't stop the others being notified. Its error is collected and, once every observer had its 
+// turn, handed over as { subject, context, errors } to the error handler: either a function, or a PubSub which 
+// gets it published on the "error" topic. Without a handler the errors are logged to the console.
+Subject.prototype.setErrorHandler = function( handler ){
+  this.errorHandler = handler;
+};
+// options: { priority, once, weak }, see ObserverList.add
+// Returns a subscription handle, handle.dispose() removes the observer again. The handle doesn't keep a weakly held 
+// observer alive, handle.observer is undefined once it was collected.
+// An observer is registered once: adding it again throws, dispose of its handle first to register it anew.
+Subject.prototype.addObserver = function( observer, options ){
+  var observers = this.observers;
+  if ( observers.has( observer ) ) {
+    throw new Error( "The observer is already registered, dispose of its handle before adding it again" );
+  }
+  observers.add( observer, options );
+  var entry = observers.entry( observer );
+  return {
+    get observer(){
+      return observers.deref( entry );
+    },
+    // only removes the registration this handle was made for, not a later re-registration of the same observer
+    dispose: function(){
+      return observers.removeEntry( entry );
+    }
+  };
+};
+Subject.prototype.removeObserver = function( observer ){
+  return this.observers.remove( observer );
+};
+// How many observers the subject holds, see ObserverList.diagnostics
+Subject.prototype.diagnostics = function(){
+  return this.observers.diagnostics();
+};
+// Returns a delivery report: { delivered, failed, errors: [{ observer, error }] }, or a promise for it when the 
+// delivery mode isn't "sync".
+Subject.prototype.notify = function( context ){
+  return this.delivery.push( "", context, this.deliver.bind( this ) );
+};
+// Notifies the observers registered when the delivery starts: observers added meanwhile wait for the next one, 
+// observers removed before their turn are skipped.
+Subject.prototype.deliver = function( context ){
+  var report = { delivered: 0, failed: 0, errors: [] };
+  var observers = this.observers.snapshot();
+  for(var i=0; i < observers.length; i++){
+    var observer = observers[i];
+    var entry = this.observers.entry( observer );
+    if ( !entry ) {
+      continue;
+    }
+    if ( entry.once ) {
+      this.observers.remove( observer );
+    }
+    try {
+      observer.update( context );
+      report.delivered++;
+    } catch ( error ) {
+      report.failed++;
+      report.errors.push({ observer: observer, error: error });
+    }
+  }
+  if ( report.failed ) {
+    this.reportErrors({ subject: this, context: context, errors: report.errors });
+  }
+  return report;
+};
+Subject.prototype.reportErrors = function( failure ){
+  reportErrors( this.errorHandler, failure, "Observer update failed: " );
+};
+// Shared by Subject and PubSub: hand failure over to handler (a function or a PubSub), or log its errors
+function reportErrors( handler, failure, label ){
+  if ( typeof handler === "function" ) {
+    handler( failure );
+  } else if ( handler && typeof handler.publish === "function" ) {
+    handler.publish( "error", failure );
+  } else {
+    for ( var i = 0; i < failure.errors.length; i++ ) {
+      console.error( label, failure.errors[i].error );
+    }
+  }
+}
+
+// The Observer, The update functionality here will be overwritten later with custom behaviour.
+function Observer(){
+  this.update = function(){
+    // ...
+  };
+}
+
+// --- Operators: a derived subject observes its source subject(s) and notifies its own observers with what it 
+// derives from their contexts, so observers don't each re-implement the filtering in their update.
+// Operators chain, e.g. subject.filter( isValid ).distinctUntilChanged().debounce( 100 ). 
+// derived.disconnect() stops it observing its sources, and drops what a timed operator still had pending.
+// teardown: called on disconnect, for the operators keeping a timer
+function deriveSubject( sources, onContext, teardown ){
+  var derived = new Subject();
+  derived.teardown = teardown || null;
+  derived.sources = sources.map(function( source, index ){
+    return source.addObserver({
+      update: function( context ){
+        // a batched source delivers the contexts of a tick together, the operators work on them one by one
+        var contexts = source.delivery.mode === "batched" ? context : [ context ];
+        for ( var i = 0; i < contexts.length; i++ ) {
+          onContext( contexts[i], index, derived );
+        }
+      }
+    });
+  });
+  return derived;
+}
+Subject.prototype.disconnect = function(){
+  ( this.sources || [] ).forEach(function( handle ){
+    handle.dispose();
+  });
+  this.sources = [];
+  if ( this.teardown ) {
+    this.teardown();
+  }
+};
+Subject.prototype.map = function( fn ){
+  return deriveSubject( [ this ], function( context, index, derived ){
+    derived.notify( fn( context ) );
+  });
+};
+Subject.prototype.filter = function( predicate ){
+  return deriveSubject( [ this ], function( context, index, derived ){
+    if ( predicate( context ) ) {
+      derived.notify( context );
+    }
+  });
+};
+// Only the last context, once the source has been quiet for ms milliseconds
+Subject.prototype.debounce = function( ms ){
+  var timer;
+  return deriveSubject( [ this ], function( context, index, derived ){
+    clearTimeout( timer );
+    timer = setTimeout(function(){
+      derived.notify( context );
+    }, ms );
+  }, function(){
+    clearTimeout( timer );
+  });
+};
+// At most one context every ms milliseconds: the first one straight away, and the last one of those that came 
+// meanwhile once the ms are over, so the latest context is never lost
+Subject.prototype.throttle = function( ms ){
+  var last = -Infinity,
+    timer = null,
+    pending;
+  return deriveSubject( [ this ], function( context, index, derived ){
+    var time = Date.now();
+    if ( !timer && time - last >= ms ) {
+      last = time;
+      derived.notify( context );
+      return;
+    }
+    pending = context;
+    if ( !timer ) {
+      timer = setTimeout(function(){
+        timer = null;
+        last = Date.now();
+        derived.notify( pending );
+      }, ms - ( time - last ) );
+    }
+  }, function(){
+    clearTimeout( timer );
+    timer = null;
+  });
+};
+// Skip contexts equal to the previous one, compare( previous, context ) defaults to ===
+Subject.prototype.distinctUntilChanged = function( compare ){
+  var seen = false, previous;
+  compare = compare || function( a, b ){
+    return a === b;
+  };
+  return deriveSubject( [ this ], function( context, index, derived ){
+    if ( seen && compare( previous, context ) ) {
+      return;
+    }
+    seen = true;
+    previous = context;
+    derived.notify( context );
+  });
+};
+// The contexts of every subject passed, as they come
+Subject.merge = function(){
+  return deriveSubject( Array.prototype.slice.call( arguments ), function( context, index, derived ){
+    derived.notify( context );
+  });
+};
+// Once each of subjects has notified, every context from any of them notifies project( latest1, latest2, ... ), 
+// or the array of the latest contexts when there is no project
+Subject.combineLatest = function( subjects, project ){
+  var latest = new Array( subjects.length ),
+    has = new Array( subjects.length ),
+    waiting = subjects.length;
+  return deriveSubject( subjects, function( context, index, derived ){
+    if ( !has[index] ) {
+      has[index] = true;
+      waiting--;
+    }
+    latest[index] = context;
+    if ( !waiting ) {
+      derived.notify( project ? project.apply( null, latest ) : latest.slice() );
+    }
+  });
+};
+
+// --- The topic/event channel: subscribers register a handler for a topic, publishers broadcast data to a topic and 
+// neither side holds a reference to the other.
+/*
+Topics are paths ("inbox/newMessage", "/login"); leading, trailing and doubled slashes are ignored, so "/login" and 
+"login" are the same topic. A subscription may use wildcards:
+  "inbox/*"   any single segment, i.e. "inbox/newMessage" but not "inbox" or "inbox/spam/new"
+  "inbox/**"  zero or more segments, i.e. "inbox", "inbox/newMessage" and "inbox/spam/new"
+A publish also bubbles up to the parent topics, so "inbox/newMessage" reaches subscribers of "inbox".
+
+Every matching subscription is called once, in this order:
+  1. exact subscribers of the topic
+  2. wildcard subscribers, the most specific pattern (most literal segments) first, "*" before "**" on a tie
+  3. parent topic subscribers, the nearest parent first
+Subscriptions in the same place of that order are called in the order they were made.
+*/
+function topicSegments( topic ){
+  return String( topic ).split( "/" ).filter(function( segment ){
+    return segment !== "";
+  });
+}
+// Does a wildcard pattern (as segments) match a topic (as segments)?
+function matchSegments( pattern, topic ){
+  if ( !pattern.length ) {
+    return !topic.length;
+  }
+  if ( pattern[0] === "**" ) {
+    // let "**" swallow 0..n segments
+    for ( var i = 0; i <= topic.length; i++ ) {
+      if ( matchSegments( pattern.slice( 1 ), topic.slice( i ) ) ) {
+        return true;
+      }
+    }
+    return false;
+  }
+  if ( !topic.length || ( pattern[0] !== "*" && pattern[0] !== topic[0] ) ) {
+    return false;
+  }
+  return matchSegments( pattern.slice( 1 ), topic.slice( 1 ) );
+}
+// Where a subscribed pattern goes in the delivery order of a topic, or null if it doesn't match.
+// Ranks compare element by element, lowest first.
+function topicRank( pattern, topic ){
+  var literals = 0, globstar = 0;
+  for ( var i = 0; i < pattern.length; i++ ) {
+    if ( pattern[i] === "**" ) {
+      globstar = 1;
+    } else if ( pattern[i] !== "*" ) {
+      literals++;
+    }
+  }
+  if ( literals === pattern.length ) {
+    if ( pattern.join( "/" ) === topic.join( "/" ) ) {
+      return [ 0, 0, 0 ];
+    }
+    // a parent is a proper prefix of the topic
+    if ( pattern.length < topic.length && pattern.join( "/" ) === topic.slice( 0, pattern.length ).join( "/" ) ) {
+      return [ 2, topic.length - pattern.length, 0 ];
+    }
+    return null;
+  }
+  return matchSegments( pattern, topic ) ? [ 1, -literals, globstar ] : null;
+}
+
+// options.delivery: "sync", "microtask" or "batched", see DeliveryQueue. In batched mode the data published to a 
+// topic within one tick reaches the handlers in one call, as an array.
+// options.onError: where failing handlers are reported, see setErrorHandler
+function PubSub( options ){
+  options = options || {};
+  this.delivery = new DeliveryQueue( options.delivery );
+  this.errorHandler = options.onError || null;
+  // the maps keyed by topic have no prototype, so "constructor" or "__proto__" are topics like any other
+  // subscribed pattern -> subscribers, in the order they subscribed
+  this.topics = Object.create( null );
+  // token -> pattern, so unsubscribing doesn't have to search every topic
+  this.tokens = Object.create( null );
+  this.subUid = -1;
+  // topic -> { limit, messages } for the topics marked with retain
+  this.retained = Object.create( null );
+  this.publishUid = -1;
+  // topic -> the handler answering requests on it
+  this.responders = Object.create( null );
+  // functions( message, next ) every publish goes through, see use
+  this.middleware = [];
+  this.tracer = null;
+  // the bridges forwarding this channel's messages, and the ids of the messages seen crossing one, see PubSubBridge
+  this.bridges = [];
+  this.id = "pubsub-" + Math.random().toString( 36 ).slice( 2 );
+  this.bridgedUid = -1;
+  this.bridged = new Set();
+}
+// Subscribe to a topic or wildcard pattern. Returns a token which can later be handed to unsubscribe
+PubSub.prototype.subscribe = function( topic, func ){
+  if ( typeof func !== "function" ) {
+    throw new TypeError( "subscribe( \"" + topic + "\" ) expects a handler function" );
+  }
+  var pattern = topicSegments( topic ).join( "/" );
+  if ( !this.topics[pattern] ) {
+    this.topics[pattern] = [];
+  }
+  var token = ( ++this.subUid ).toString();
+  this.topics[pattern].push({
+    token: token,
+    func: func
+  });
+  this.tokens[token] = pattern;
+  this.replay( pattern, token, func );
+  return token;
+};
+// The subscribers a publish to topic would reach, in delivery order (see above)
+PubSub.prototype.subscribers = function( topic ){
+  var segments = topicSegments( topic ),
+    matches = [];
+  for ( var pattern in this.topics ) {
+    var rank = topicRank( pattern ? pattern.split( "/" ) : [], segments );
+    if ( !rank ) {
+      continue;
+    }
+    for ( var i = 0, len = this.topics[pattern].length; i < len; i++ ) {
+      var subscriber = this.topics[pattern][i];
+      matches.push({
+        rank: rank.concat( Number( subscriber.token ) ),
+        subscriber: subscriber
+      });
+    }
+  }
+  matches.sort(function( a, b ){
+    for ( var i = 0; i < a.rank.length; i++ ) {
+      if ( a.rank[i] !== b.rank[i] ) {
+        return a.rank[i] - b.rank[i];
+      }
+    }
+    return 0;
+  });
+  return matches.map(function( match ){
+    return match.subscriber;
+  });
+};
+// Publish data to every matching subscriber, handlers are called as func( topic, data ) with the published topic.
+// Returns false when nobody was listening or a middleware dropped the message, or a promise for that when the 
+// delivery mode isn't "sync".
+PubSub.prototype.publish = function( topic, data ){
+  return this.dispatch({ topic: topic, data: data });
+};
+// Publish a message { topic, data } along with its route: { id, bridge } for a message that crossed a bridge, the id 
+// it was given and the bridge it came from. The route is kept apart from the message, as middleware may replace that.
+PubSub.prototype.dispatch = function( message, route ){
+  var pubsub = this,
+    result = false;
+  route = route || {};
+  this.intercept( message, function( message ){
+    result = pubsub.delivery.push( message.topic, message.data, pubsub.deliver.bind( pubsub, message.topic ) );
+    // only once every middleware let it through, and as the middleware left it. A bridge failing to forward (and 
+    // having no onError) doesn't keep the others from forwarding, its error is thrown once they all had their turn.
+    var failure = null;
+    pubsub.bridges.slice().forEach(function( bridge ){
+      try {
+        bridge.forward( message, route );
+      } catch ( error ) {
+        failure = failure || error;
+      }
+    });
+    if ( failure ) {
+      throw failure;
+    }
+  });
+  return result;
+};
+// As for Subject, a failing handler doesn't stop the others being called, and publish doesn't throw (or reject) 
+// because of it. The errors are handed over as { pubsub, topic, data, errors: [{ token, error }] } to the error 
+// handler: a function, or a PubSub which gets it published on the "error" topic (a handler of this channel's own 
+// "error" topic failing is logged instead, so it can't loop). Without a handler the errors are logged to the console.
+PubSub.prototype.setErrorHandler = function( handler ){
+  this.errorHandler = handler;
+};
+PubSub.prototype.deliver = function( topic, data ){
+  // recorded on delivery rather than on publish, so whoever subscribes in between isn't handed the message twice
+  var published = this.delivery.mode === "batched" ? data : [ data ];
+  for ( var j = 0; j < published.length; j++ ) {
+    this.record( topic, published[j] );
+  }
+  // the list is a copy, so handlers may (un)subscribe while we are broadcasting
+  var subscribers = this.subscribers( topic ),
+    // traced even when nobody listens, a publish to no subscribers is often the bug being looked for
+    trace = this.tracer && this.tracer.start( topic, data, subscribers.length ),
+    errors = [];
+  if ( !subscribers.length ) {
+    return false;
+  }
+  for ( var i = 0, len = subscribers.length; i < len; i++ ) {
+    var started = trace && now();
+    try {
+      subscribers[i].func( topic, data );
+    } catch ( error ) {
+      errors.push({ token: subscribers[i].token, error: error });
+    }
+    if ( trace ) {
+      trace.handlers.push({ token: subscribers[i].token, name: subscribers[i].func.name, duration: now() - started });
+    }
+  }
+  if ( errors.length ) {
+    this.reportErrors( topic, data, errors );
+  }
+  return true;
+};
+PubSub.prototype.reportErrors = function( topic, data, errors ){
+  var handler = this.errorHandler === this && topicSegments( topic ).join( "/" ) === "error" ? null : this.errorHandler;
+  reportErrors( handler, { pubsub: this, topic: topic, data: data, errors: errors }, 
+    "Subscriber of \"" + topic + "\" failed: " );
+};
+// Remove a subscription by its token. Returns the token, or false if it wasn't subscribed
+PubSub.prototype.unsubscribe = function( token ){
+  var pattern = this.tokens[token];
+  if ( pattern === undefined ) {
+    return false;
+  }
+  var subscribers = this.topics[pattern];
+  for ( var i = 0, len = subscribers.length; i < len; i++ ) {
+    if ( subscribers[i].token === token ) {
+      subscribers.splice( i, 1 );
+      break;
+    }
+  }
+  if ( !subscribers.length ) {
+    delete this.topics[pattern];
+  }
+  delete this.tokens[token];
+  return token;
+};
+
+// --- Retained topics, so late subscribers still learn what was published before they subscribed:
+// options.sticky: keep the last message published to topic, options.replay: keep the last N messages.
+// A new subscriber whose topic or pattern matches a retained topic (by the rules above) is handed the kept messages 
+// straight away, before subscribe returns, oldest first. In batched mode they come as one array per topic.
+PubSub.prototype.retain = function( topic, options ){
+  var key = topicSegments( topic ).join( "/" ),
+    limit = options.sticky ? 1 : Math.max( 0, Math.floor( options.replay ) || 0 );
+  if ( !limit ) {
+    throw new RangeError( "retain( \"" + topic + "\" ) expects { sticky: true } or { replay: n } with n > 0" );
+  }
+  var retained = this.retained[key] || ( this.retained[key] = { limit: limit, messages: [] } );
+  retained.limit = limit;
+  retained.messages.splice( 0, Math.max( 0, retained.messages.length - limit ) );
+};
+// Forget the messages kept for topic, the topic itself stays retained
+PubSub.prototype.clearRetained = function( topic ){
+  var retained = this.retained[ topicSegments( topic ).join( "/" ) ];
+  if ( retained ) {
+    retained.messages = [];
+  }
+};
+PubSub.prototype.record = function( topic, data ){
+  var retained = this.retained[ topicSegments( topic ).join( "/" ) ];
+  if ( retained ) {
+    retained.messages.push({ topic: topic, data: data, uid: ++this.publishUid });
+    if ( retained.messages.length > retained.limit ) {
+      retained.messages.shift();
+    }
+  }
+};
+// A handler failing on a replayed message is reported like a failing delivery, subscribe still returns the token
+PubSub.prototype.replay = function( pattern, token, func ){
+  var pubsub = this;
+  function call( topic, data ){
+    try {
+      func( topic, data );
+    } catch ( error ) {
+      pubsub.reportErrors( topic, data, [{ token: token, error: error }] );
+    }
+  }
+  var segments = pattern ? pattern.split( "/" ) : [],
+    messages = [];
+  for ( var key in this.retained ) {
+    if ( topicRank( segments, key ? key.split( "/" ) : [] ) ) {
+      messages = messages.concat( this.retained[key].messages );
+    }
+  }
+  messages.sort(function( a, b ){
+    return a.uid - b.uid;
+  });
+  if ( this.delivery.mode !== "batched" ) {
+    for ( var i = 0; i < messages.length; i++ ) {
+      call( messages[i].topic, messages[i].data );
+    }
+    return;
+  }
+  // one call per topic, in the order each topic was first published
+  var batches = Object.create( null ), order = [];
+  for ( var j = 0; j < messages.length; j++ ) {
+    if ( !batches[ messages[j].topic ] ) {
+      batches[ messages[j].topic ] = [];
+      order.push( messages[j].topic );
+    }
+    batches[ messages[j].topic ].push( messages[j].data );
+  }
+  for ( var k = 0; k < order.length; k++ ) {
+    call( order[k], batches[ order[k] ] );
+  }
+};
+
+// --- Request/response, for when a module needs an answer rather than firing and forgetting:
+// A topic has at most one responder, registered for the exact topic (no wildcards). respond returns a handle, 
+// handle.dispose() unregisters the responder again.
+PubSub.prototype.respond = function( topic, handler ){
+  var key = topicSegments( topic ).join( "/" ),
+    responders = this.responders;
+  if ( typeof handler !== "function" ) {
+    throw new TypeError( "respond( \"" + topic + "\" ) expects a handler function" );
+  }
+  if ( responders[key] ) {
+    throw new Error( "A responder for \"" + topic + "\" is already registered" );
+  }
+  responders[key] = handler;
+  return {
+    dispose: function(){
+      return responders[key] === handler && delete responders[key];
+    }
+  };
+};
+// Ask the responder of topic, it is called as handler( topic, data ) and may return its reply or a promise for it.
+// Returns a promise for the reply, rejected with an error whose code is "ENORESPONDER" when nobody responds to the 
+// topic, or "ETIMEDOUT" when there is no reply within options.timeout milliseconds (PubSub.requestTimeout by default).
+// A timeout of Infinity waits for the reply however long it takes, any other timeout has to be a number from 0 up 
+// to PubSub.maxTimeout (the longest delay setTimeout supports, longer ones would fire straight away).
+PubSub.prototype.request = function( topic, data, options ){
+  var handler = this.responders[ topicSegments( topic ).join( "/" ) ],
+    timeout = options && options.timeout !== undefined ? options.timeout : PubSub.requestTimeout;
+  if ( timeout !== Infinity && !( typeof timeout === "number" && timeout >= 0 && timeout <= PubSub.maxTimeout ) ) {
+    throw new RangeError( "request( \"" + topic + "\" ) expects a timeout from 0 to " + PubSub.maxTimeout + 
+      " milliseconds or Infinity (got " + timeout + ")" );
+  }
+  if ( !handler ) {
+    return Promise.reject( requestError( "ENORESPONDER", "No responder for \"" + topic + "\"" ) );
+  }
+  return new Promise(function( resolve, reject ){
+    var timer = timeout === Infinity ? null : setTimeout(function(){
+      reject( requestError( "ETIMEDOUT", "Request to \"" + topic + "\" timed out after " + timeout + "ms" ) );
+    }, timeout );
+    new Promise(function( reply ){
+      reply( handler( topic, data ) );
+    }).then(function( reply ){
+      clearTimeout( timer );
+      resolve( reply );
+    }, function( error ){
+      clearTimeout( timer );
+      reject( error );
+    });
+  });
+};
+PubSub.requestTimeout = 5000;
+PubSub.maxTimeout = 2147483647;
+function requestError( code, message ){
+  var error = new Error( message );
+  error.code = code;
+  return error;
+}
+
+// --- Middleware, to log, filter, transform or time every message without touching the subscribers:
+// fn( message, next ) is called on publish, before the message is queued for delivery, with message being 
+// { topic, data }. Calling next() passes the message on to the next middleware, next( replacement ) passes a 
+// replacement message instead, and not calling next at all drops the message. Middleware runs in the order it was 
+// added. use returns a handle, handle.dispose() removes the middleware again.
+PubSub.prototype.use = function( fn ){
+  var middleware = this.middleware;
+  middleware.push( fn );
+  return {
+    dispose: function(){
+      var index = middleware.indexOf( fn );
+      return index !== -1 && middleware.splice( index, 1 ).length === 1;
+    }
+  };
+};
+PubSub.prototype.intercept = function( message, done ){
+  var stack = this.middleware.slice();
+  function dispatch( index, message ){
+    if ( index === stack.length ) {
+      return done( message );
+    }
+    var called = false;
+    stack[index]( message, function( replacement ){
+      // a middleware calling next twice would deliver the message twice
+      if ( called ) {
+        return;
+      }
+      called = true;
+      dispatch( index + 1, replacement === undefined ? message : replacement );
+    });
+  }
+  dispatch( 0, message );
+};
+
+// --- Tracing, for "which handler is slow" or "does anybody listen" kind of questions:
+// Records every delivery as { topic, size, subscribers, handlers: [{ token, name, duration }], time }, where size 
+// is the length of the payload as JSON (null if it can't be serialized) and durations are in milliseconds. A publish 
+// nobody listens to is recorded too, with subscribers: 0 and no handlers.
+// Only the last options.limit records (1000 by default) are kept.
+function Tracer( options ){
+  this.limit = ( options && options.limit ) || 1000;
+  this.records = [];
+}
+Tracer.prototype.start = function( topic, data, subscribers ){
+  var record = {
+    topic: topic,
+    size: payloadSize( data ),
+    subscribers: subscribers,
+    handlers: [],
+    time: Date.now()
+  };
+  this.records.push( record );
+  if ( this.records.length > this.limit ) {
+    this.records.shift();
+  }
+  return record;
+};
+// The n slowest handler calls recorded, slowest first, as { topic, token, name, duration }
+Tracer.prototype.slowest = function( n ){
+  var calls = [];
+  this.records.forEach(function( record ){
+    record.handlers.forEach(function( handler ){
+      calls.push({ topic: record.topic, token: handler.token, name: handler.name, duration: handler.duration });
+    });
+  });
+  return calls.sort(function( a, b ){
+    return b.duration - a.duration;
+  }).slice( 0, n || 10 );
+};
+Tracer.prototype.clear = function(){
+  this.records = [];
+};
+// Start tracing this channel's deliveries, returns the Tracer. Tracing again replaces the previous tracer
+PubSub.prototype.trace = function( options ){
+  return ( this.tracer = new Tracer( options ) );
+};
+PubSub.prototype.stopTracing = function(){
+  this.tracer = null;
+};
+function payloadSize( data ){
+  try {
+    var json = JSON.stringify( data );
+    return json === undefined ? 0 : json.length;
+  } catch ( error ) {
+    return null;
+  }
+}
+function now(){
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+// --- Bridging channels across threads (worker_threads in Node, web workers in the browser) over a MessagePort:
+/*
+pubsub.bridge( port, options ) forwards every message published on pubsub whose topic matches one of options.topics 
+(subscription patterns, "**" by default) to the other side of port, where a bridge on another PubSub publishes it 
+again. The bridge on the other side forwards in the same way, so the two channels behave as one.
+A message is forwarded once it went through the channel's middleware, in the form the middleware passed on: a 
+message dropped by a middleware isn't forwarded either, a replaced one is forwarded as replaced.
+Loops are prevented by giving each forwarded message an id, which every channel remembers (the last 
+PubSub.bridgedLimit of them): a channel publishes a message only once however many routes it arrives by, and a 
+bridge never sends a message back over the port it came from. The id travels with the route of the message, not 
+the message itself, so it survives middleware replacing the message.
+Payloads have to survive the structured clone of postMessage: functions, symbols and objects with their own 
+prototype (which would arrive as plain objects) aren't forwarded, wherever they are in the payload (the entries of a 
+Map or Set included). The error, or one postMessage itself throws, goes to options.onError( error, message ), or is 
+thrown from publish (after the local delivery, and after the channel's other bridges forwarded) when there is no 
+onError.
+bridge.close() stops forwarding on both sides and closes the port.
+
+  // main thread
+  var PubSub = require( "./observable.js" ).PubSub,
+    pubsub = new PubSub(),
+    channel = new MessageChannel();
+  new Worker( "./worker.js", { workerData: { port: channel.port2 }, transferList: [ channel.port2 ] } );
+  pubsub.bridge( channel.port1 );
+  // worker.js
+  var workerPubsub = new ( require( "./observable.js" ).PubSub )();
+  workerPubsub.bridge( require( "worker_threads" ).workerData.port );
+*/
+function PubSubBridge( pubsub, port, options ){
+  options = options || {};
+  var bridge = this;
+  this.pubsub = pubsub;
+  this.port = port;
+  this.topics = ( options.topics || [ "**" ] ).map(function( topic ){
+    return topicSegments( topic );
+  });
+  this.onError = options.onError || null;
+  this.closed = false;
+  this.onMessage = function( event ){
+    bridge.receive( event.data );
+  };
+  this.onClose = function(){
+    bridge.detach();
+  };
+  pubsub.bridges.push( this );
+  port.addEventListener( "message", this.onMessage );
+  port.addEventListener( "close", this.onClose );
+  if ( typeof port.start === "function" ) {
+    port.start();
+  }
+}
+PubSubBridge.prototype.forwards = function( topic ){
+  var segments = topicSegments( topic );
+  for ( var i = 0; i < this.topics.length; i++ ) {
+    if ( topicRank( this.topics[i], segments ) ) {
+      return true;
+    }
+  }
+  return false;
+};
+PubSubBridge.prototype.forward = function( message, route ){
+  if ( this.closed || route.bridge === this || !this.forwards( message.topic ) ) {
+    return;
+  }
+  var problem = cloneProblem( message.data, "data", [] );
+  if ( problem ) {
+    this.fail( new TypeError( "Can't forward \"" + message.topic + "\" across the bridge: " + problem ), message );
+    return;
+  }
+  // the same id for every bridge the message leaves by
+  if ( !route.id ) {
+    route.id = this.pubsub.id + ":" + ( ++this.pubsub.bridgedUid );
+    this.pubsub.remember( route.id );
+  }
+  try {
+    this.port.postMessage({
+      type: "pubsub/publish",
+      id: route.id,
+      topic: message.topic,
+      data: message.data
+    });
+  } catch ( error ) {
+    // what cloneProblem doesn't foresee, e.g. a DataCloneError
+    this.fail( error, message );
+  }
+};
+PubSubBridge.prototype.fail = function( error, message ){
+  if ( !this.onError ) {
+    throw error;
+  }
+  this.onError( error, message );
+};
+PubSubBridge.prototype.receive = function( envelope ){
+  if ( !envelope || this.closed ) {
+    return;
+  }
+  if ( envelope.type === "pubsub/close" ) {
+    this.detach();
+  } else if ( envelope.type === "pubsub/publish" && this.pubsub.remember( envelope.id ) ) {
+    this.pubsub.dispatch({ topic: envelope.topic, data: envelope.data }, { id: envelope.id, bridge: this });
+  }
+};
+PubSubBridge.prototype.close = function(){
+  if ( this.closed ) {
+    return;
+  }
+  this.port.postMessage({ type: "pubsub/close" });
+  this.detach();
+  this.port.close();
+};
+// Stop forwarding on this side only
+PubSubBridge.prototype.detach = function(){
+  var bridges = this.pubsub.bridges;
+  this.closed = true;
+  if ( bridges.indexOf( this ) !== -1 ) {
+    bridges.splice( bridges.indexOf( this ), 1 );
+  }
+  this.port.removeEventListener( "message", this.onMessage );
+  this.port.removeEventListener( "close", this.onClose );
+};
+PubSub.prototype.bridge = function( port, options ){
+  return new PubSubBridge( this, port, options );
+};
+// Note a bridged message id, returns false if it was seen before
+PubSub.prototype.remember = function( id ){
+  if ( this.bridged.has( id ) ) {
+    return false;
+  }
+  this.bridged.add( id );
+  if ( this.bridged.size > PubSub.bridgedLimit ) {
+    // a Set iterates in insertion order, so this is the oldest id
+    this.bridged.delete( this.bridged.values().next().value );
+  }
+  return true;
+};
+PubSub.bridgedLimit = 1000;
+// Why value can't be structured-cloned as is, null if it can
+function cloneProblem( value, path, seen ){
+  var type = typeof value;
+  if ( type === "function" || type === "symbol" ) {
+    return path + " is a " + type;
+  }
+  if ( value === null || type !== "object" || seen.indexOf( value ) !== -1 ) {
+    return null;
+  }
+  var proto = Object.getPrototypeOf( value );
+  if ( proto !== Object.prototype && proto !== null && !Array.isArray( value ) ) {
+    // built-ins the structured clone knows how to copy
+    var cloneable = [ Date, RegExp, ArrayBuffer, DataView ];
+    for ( var i = 0; i < cloneable.length; i++ ) {
+      if ( value instanceof cloneable[i] ) {
+        return null;
+      }
+    }
+    if ( ArrayBuffer.isView( value ) ) {
+      return null;
+    }
+    // and those it copies along with their contents, which have to be cloneable too
+    if ( !( value instanceof Map || value instanceof Set || value instanceof Error ) ) {
+      return path + " is an instance of " + ( ( value.constructor && value.constructor.name ) || "a custom prototype" ) + 
+        " and would arrive as a plain object";
+    }
+  }
+  seen.push( value );
+  if ( value instanceof Map || value instanceof Set ) {
+    var entries = Array.from( value.entries() );
+    for ( var j = 0; j < entries.length; j++ ) {
+      // a Set's entries are [ value, value ]
+      var entryProblem = value instanceof Set ? cloneProblem( entries[j][0], path + " entry " + j, seen ) : 
+        cloneProblem( entries[j][0], path + " entry " + j + " key", seen ) || 
+        cloneProblem( entries[j][1], path + " entry " + j + " value", seen );
+      if ( entryProblem ) {
+        return entryProblem;
+      }
+    }
+    return null;
+  }
+  if ( value instanceof Error ) {
+    return "cause" in value ? cloneProblem( value.cause, path + ".cause", seen ) : null;
+  }
+  for ( var key in value ) {
+    if ( Object.prototype.hasOwnProperty.call( value, key ) ) {
+      var problem = cloneProblem( value[key], path + "." + key, seen );
+      if ( problem ) {
+        return problem;
+      }
+    }
+  }
+  return null;
+}
+
+
+// Loaded as a script the functions above are globals, loaded as a CommonJS module they are exported
+if ( typeof module !== "undefined" && module.exports ) {
+  module.exports = {
+    ObserverList: ObserverList,
+    DeliveryQueue: DeliveryQueue,
+    Subject: Subject,
+    Observer: Observer,
+    PubSub: PubSub,
+    PubSubBridge: PubSubBridge,
+    Tracer: Tracer
+  };
+}
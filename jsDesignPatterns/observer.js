@@ -14,58 +14,7 @@ Components:
 state is consistent with the Subject's
 */
 
-// --- The list of dependent Observers a subject may have:
-function ObserverList(){
-  this.observerList = [];
-}
-ObserverList.prototype.add = function( obj ){
-  return this.observerList.push( obj );
-};
-ObserverList.prototype.count = function(){
-  return this.observerList.length;
-};
-ObserverList.prototype.get = function( index ){
-  if( index > -1 && index < this.observerList.length ){
-    return this.observerList[ index ];
-  }
-};
-ObserverList.prototype.indexOf = function( obj, startIndex ){
-  var i = startIndex;
-  while( i < this.observerList.length ){
-    if( this.observerList[i] === obj ){
-      return i;
-    }
-    i++;
-  }
-  return -1;
-};
-ObserverList.prototype.removeAt = function( index ){
-  this.observerList.splice( index, 1 );
-};
-
-// --- The Subject and the ability to add, remove or notify observers on the observer list:
-function Subject(){
-  this.observers = new ObserverList();
-}
-Subject.prototype.addObserver = function( observer ){
-  this.observers.add( observer );
-};
-Subject.prototype.removeObserver = function( observer ){
-  this.observers.removeAt( this.observers.indexOf( observer, 0 ) );
-};
-Subject.prototype.notify = function( context ){
-  var observerCount = this.observers.count();
-  for(var i=0; i < observerCount; i++){
-    this.observers.get(i).update( context );
-  }
-};
-
-// The Observer, The update functionality here will be overwritten later with custom behaviour.
-function Observer(){
-  this.update = function(){
-    // ...
-  };
-}
+// The ObserverList, Subject and Observer used below are in observable.js, which the page loads before this file.
 
 //---- HTML:
 //A button for adding new observable checkboxes to the page
@@ -93,6 +42,14 @@ controlCheckbox.onclick = function(){
   controlCheckbox.notify( controlCheckbox.checked );
 };
 addBtn.onclick = addNewObserver;
+// Derived state: only the changes of the checked state, and not more often than every 50ms. A quick double toggle 
+// still ends on the right state, as the last change of a 50ms window is passed on when the window is over.
+var checkedChanges = controlCheckbox.distinctUntilChanged().throttle( 50 );
+checkedChanges.addObserver({
+  update: function( checked ){
+    console.log( "Main checkbox is now " + ( checked ? "checked" : "unchecked" ) );
+  }
+});
 // Concrete Observer
 function addNewObserver(){
   // Create a new checkbox to be added
@@ -105,8 +62,8 @@ function addNewObserver(){
     this.checked = value;
   };
   // Add the new observer to our list of observers
-  // for our main subject
-  controlCheckbox.addObserver( check );
+  // for our main subject. Held weakly, so a checkbox removed from the page isn't kept alive (and updated) forever
+  controlCheckbox.addObserver( check, { weak: true } );
   // Append the item to the container
   container.appendChild( check );
 }
@@ -120,6 +77,21 @@ The idea here is to avoid dependencies between the subscriber and publisher. Thi
 any subscriber implementing an appropriate event handler to register for and receive topic notifications broadcast by the publisher.
 */
 
+// The PubSub channel used below is in observable.js as well (topics, retention, request/response, middleware, 
+// tracing and bridging across threads are documented there).
+
+// A shared channel for the page, exposed through the global helpers used below
+var pubsub = new PubSub();
+function subscribe( topic, func ){
+  return pubsub.subscribe( topic, func );
+}
+function publish( topic, data ){
+  return pubsub.publish( topic, data );
+}
+function unsubscribe( token ){
+  return pubsub.unsubscribe( token );
+}
+
 // A very simple new mail handler
 var mailCounter = 0; // A count of the number of messages received
 // Initialize subscribers that will listen out for a topic with the name "inbox/newMessage". Render a preview of new messages
@@ -135,15 +107,37 @@ var subscriber2 = subscribe( "inbox/newMessage", function( topic, data ) {
   $('.newMessageCounter').html( ++mailCounter );
 });
 
-publish( "inbox/newMessage", [{
+// A preview widget created later on still shows the latest message, and the history keeps the last 10 of them
+pubsub.retain( "inbox/newMessage", { sticky: true } );
+pubsub.retain( "inbox/history", { replay: 10 } );
+
+publish( "inbox/newMessage", {
   sender: "hello@google.com",
   body: "Hey there! How are you doing today?"
-}]);
+});
+// When an answer is needed, one module responds and the others request
+pubsub.respond( "session/currentUser", function( topic, data ) {
+  return { username: "test" };
+});
+pubsub.request( "session/currentUser", null, { timeout: 1000 } ).then(function( user ) {
+  console.log( "Logged in as: ", user.username );
+});
+// Log every message and find the slow handlers
+pubsub.use(function( message, next ) {
+  console.log( "publish: ", message.topic );
+  next();
+});
+var tracer = pubsub.trace();
+// ... later: console.table( tracer.slowest( 5 ) );
 /*
 We could then at a later point unsubscribe our subscribers from receiving any new topic notifications as follows:
 // unsubscribe( subscriber1 );
 // unsubscribe( subscriber2 );
 */
+// Instead of subscribing to every leaf topic by hand, one subscriber can follow everything under "inbox"
+var inboxLogger = subscribe( "inbox/**", function( topic, data ) {
+  console.log( "Inbox activity: ", topic );
+});
 
 
 //-----------------------------------------------------------------------------------
@@ -48,4 +48,42 @@ var myRevealingModule = (function () {
         count: publicGetCount
     };
 })();
-myRevealingModule.start();
\ No newline at end of file
+myRevealingModule.start();
+
+//-----------------------------------------------------------------------------------
+
+
+// the same module defined with defineModule (see module.js), so a test can reach privateCounter and privateFunction
+var myTestableRevealingModule = defineModule({
+    privates: function () {
+        return {
+            privateCounter: 0,
+            privateFunction: function () {
+                this.privateCounter++;
+            }
+        };
+    },
+    publics: function ( priv ) {
+        function publicFunction() {
+            publicIncrement();
+        }
+        function publicIncrement() {
+            priv.privateFunction();
+        }
+        function publicGetCount(){
+          return priv.privateCounter;
+        }
+        // Reveal public pointers to private functions and properties
+        return {
+            start: publicFunction,
+            increment: publicIncrement,
+            count: publicGetCount
+        };
+    }
+});
+// In test mode:
+// var privates = defineModule.inspect( myTestableRevealingModule );
+// privates.set( "privateCounter", 41 );
+// privates.call( "privateFunction" );
+// myTestableRevealingModule.count(); // 42
+// privates.reset();
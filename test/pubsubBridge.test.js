@@ -0,0 +1,109 @@
+// Run with: node --test test/
+var test = require( "node:test" ),
+  assert = require( "node:assert" ),
+  PubSub = require( "../jsDesignPatterns/observable.js" ).PubSub;
+
+// Two channels bridged over a MessageChannel, closed again once the test is over. setup( left, right ) runs before 
+// the bridges are made, for middleware that has to come first.
+function bridgedPair( t, setup ){
+  var channel = new MessageChannel(),
+    left = new PubSub(),
+    right = new PubSub();
+  if ( setup ) {
+    setup( left, right );
+  }
+  var leftBridge = left.bridge( channel.port1 ),
+    rightBridge = right.bridge( channel.port2 );
+  t.after(function(){
+    leftBridge.close();
+    rightBridge.close();
+  });
+  return { left: left, right: right };
+}
+// Resolves once the messages posted so far (and those they lead to) had time to cross the ports
+function settle(){
+  return new Promise(function( resolve ){
+    setTimeout( resolve, 50 );
+  });
+}
+
+test( "a message replaced by middleware on both sides crosses the bridge once", function( t ){
+  var delivered = { left: 0, right: 0 },
+    pair = bridgedPair( t, function( left, right ){
+      [ left, right ].forEach(function( pubsub ){
+        pubsub.use(function( message, next ){
+          next({ topic: message.topic, data: { value: message.data.value } });
+        });
+      });
+    });
+  [ "left", "right" ].forEach(function( side ){
+    pair[side].subscribe( "x", function(){
+      delivered[side]++;
+    });
+  });
+  pair.left.publish( "x", { value: 1 } );
+  return settle().then(function(){
+    assert.deepStrictEqual( delivered, { left: 1, right: 1 } );
+  });
+});
+
+test( "a message dropped by middleware added after the bridge isn't forwarded", function( t ){
+  var pair = bridgedPair( t ),
+    received = [];
+  pair.left.use(function( message, next ){
+    if ( message.topic !== "secret" ) {
+      next();
+    }
+  });
+  pair.right.subscribe( "**", function( topic ){
+    received.push( topic );
+  });
+  pair.left.publish( "secret", "hunter2" );
+  pair.left.publish( "public", "hello" );
+  return settle().then(function(){
+    assert.deepStrictEqual( received, [ "public" ] );
+  });
+});
+
+test( "a Map holding a function is reported to onError instead of reaching postMessage", function( t ){
+  var channel = new MessageChannel(),
+    pubsub = new PubSub(),
+    errors = [],
+    bridge = pubsub.bridge( channel.port1, {
+      onError: function( error ){
+        errors.push( error );
+      }
+    });
+  t.after(function(){
+    bridge.close();
+  });
+  assert.doesNotThrow(function(){
+    pubsub.publish( "m", new Map([ [ "f", function(){} ] ]) );
+  });
+  assert.strictEqual( errors.length, 1 );
+  assert.match( errors[0].message, /data entry 0 value is a function/ );
+});
+
+test( "a bridge failing to forward doesn't keep the next bridge from forwarding", function( t ){
+  var first = new MessageChannel(),
+    second = new MessageChannel(),
+    pubsub = new PubSub(),
+    errors = [],
+    bridges = [
+      pubsub.bridge( first.port1 ),
+      pubsub.bridge( second.port1, {
+        onError: function( error ){
+          errors.push( error );
+        }
+      })
+    ];
+  t.after(function(){
+    bridges.forEach(function( bridge ){
+      bridge.close();
+    });
+  });
+  assert.throws(function(){
+    pubsub.publish( "m", { f: function(){} } );
+  }, TypeError );
+  assert.strictEqual( errors.length, 1 );
+});
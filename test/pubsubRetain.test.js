@@ -0,0 +1,23 @@
+// Run with: node --test test/
+var test = require( "node:test" ),
+  assert = require( "node:assert" ),
+  PubSub = require( "../jsDesignPatterns/observable.js" ).PubSub;
+
+test( "a handler failing on a replayed message is reported and still gets its token", function(){
+  var failures = [],
+    pubsub = new PubSub({
+      onError: function( failure ){
+        failures.push( failure );
+      }
+    });
+  pubsub.retain( "a", { sticky: true } );
+  pubsub.publish( "a", 1 );
+  var token = pubsub.subscribe( "a", function(){
+    throw new Error( "boom" );
+  });
+  assert.strictEqual( failures.length, 1 );
+  assert.strictEqual( failures[0].topic, "a" );
+  assert.strictEqual( failures[0].errors[0].token, token );
+  assert.strictEqual( pubsub.unsubscribe( token ), token );
+  assert.deepStrictEqual( pubsub.subscribers( "a" ), [] );
+});